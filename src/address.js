@@ -0,0 +1,341 @@
+/**
+ * US address handling: parsing and normalizing a one-line address (USPS Publication 28 abbreviations),
+ * rejecting input that cannot be looked up, and scoring geocoder candidates against it
+ */
+
+// State and territory codes with their names, so "North Carolina" and "NC" compare equal
+const STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+    LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+    SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+    VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+    AS: 'American Samoa', GU: 'Guam', MP: 'Northern Mariana Islands', PR: 'Puerto Rico',
+    VI: 'U.S. Virgin Islands'
+};
+
+const STATE_CODES = Object.fromEntries(
+    Object.entries(STATES).map(([code, name]) => [name.toUpperCase().replace(/[^A-Z ]/g, ''), code])
+);
+
+/**
+ * Turn { ABBREVIATION: [spellings] } into a lookup from every spelling (and the abbreviation) to the abbreviation
+ */
+function abbreviationTable(spellings) {
+    return Object.fromEntries(Object.entries(spellings).flatMap(([abbreviation, variants]) => {
+        return [abbreviation, ...variants].map(variant => [variant, abbreviation]);
+    }));
+}
+
+// Street suffixes (USPS Publication 28, appendix C1) - the common ones and their usual spellings
+const STREET_SUFFIXES = abbreviationTable({
+    ALY: ['ALLEY', 'ALLY'], AVE: ['AVENUE', 'AV', 'AVEN', 'AVENU', 'AVN', 'AVNUE'], BND: ['BEND'],
+    BLVD: ['BOULEVARD', 'BOUL', 'BOULV'], CIR: ['CIRCLE', 'CIRC', 'CIRCL', 'CRCL', 'CRCLE'], CT: ['COURT'],
+    CV: ['COVE'], CRK: ['CREEK'], XING: ['CROSSING', 'CRSSNG'], DR: ['DRIVE', 'DRIV', 'DRV'],
+    EXPY: ['EXPRESSWAY', 'EXPRESS', 'EXPW'], EXT: ['EXTENSION', 'EXTN'], FWY: ['FREEWAY', 'FREEWY', 'FRWY'],
+    HTS: ['HEIGHTS', 'HT'], HWY: ['HIGHWAY', 'HIGHWY', 'HIWAY', 'HIWY', 'HWAY'], HOLW: ['HOLLOW'],
+    JCT: ['JUNCTION'], LN: ['LANE'], LOOP: ['LOOPS'], PKWY: ['PARKWAY', 'PARKWY', 'PKWAY', 'PKY'],
+    PIKE: ['PIKES'], PL: ['PLACE'], PLZ: ['PLAZA', 'PLZA'], PT: ['POINT'], RDG: ['RIDGE'], RD: ['ROAD'],
+    RTE: ['ROUTE'], RUN: [], SQ: ['SQUARE', 'SQR', 'SQRE'], ST: ['STREET', 'STR', 'STRT'],
+    TER: ['TERRACE', 'TERR'], TRCE: ['TRACE'], TRL: ['TRAIL', 'TRAILS', 'TRLS'],
+    TPKE: ['TURNPIKE', 'TRNPK', 'TURNPK'], VW: ['VIEW'], WAY: ['WY'], WALK: []
+});
+
+const DIRECTIONALS = abbreviationTable({
+    N: ['NORTH'], S: ['SOUTH'], E: ['EAST'], W: ['WEST'],
+    NE: ['NORTHEAST'], NW: ['NORTHWEST'], SE: ['SOUTHEAST'], SW: ['SOUTHWEST']
+});
+
+// Secondary unit designators (USPS Publication 28, appendix C2)
+const UNIT_DESIGNATORS = abbreviationTable({
+    APT: ['APARTMENT'], BLDG: ['BUILDING'], DEPT: ['DEPARTMENT'], FL: ['FLOOR'], LOT: [], OFC: ['OFFICE'],
+    PH: ['PENTHOUSE'], RM: ['ROOM'], SPC: ['SPACE'], STE: ['SUITE'], TRLR: ['TRAILER'], UNIT: [], '#': []
+});
+
+// Relative weight of each part when scoring a candidate; parts missing from the input are left out
+const MATCH_WEIGHTS = { number: 0.25, street: 0.3, city: 0.25, state: 0.1, zip: 0.1 };
+
+const ZIP_PATTERN = /^\d{5}(?:-\d{4})?$/;
+
+// Something in ZIP position that is not a ZIP ("2733", "273301")
+const ZIP_LIKE_PATTERN = /^\d[\d-]*$/;
+
+/**
+ * Split text into upper-case words ("#" is kept as a unit designator)
+ */
+function toWords(text) {
+    return String(text)
+        .toUpperCase()
+        .replace(/#/g, ' # ')
+        .replace(/[^A-Z0-9#\s-]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+/**
+ * Abbreviate every suffix and directional word, for comparing street names loosely ("Drive" = "Dr")
+ */
+function abbreviate(words) {
+    return words.map(word => STREET_SUFFIXES[word] || DIRECTIONALS[word] || word);
+}
+
+/**
+ * Abbreviate a street name the USPS way: pre-directional, suffix and post-directional only
+ * ("NORTH MAIN STREET" -> "N MAIN ST", but "NORTH STREET" keeps NORTH as the name)
+ */
+function standardizeStreet(words) {
+    const street = [...words];
+    let last = street.length - 1;
+
+    if (street.length > 2 && DIRECTIONALS[street[last]]) {
+        street[last] = DIRECTIONALS[street[last]];
+        last--;
+    }
+    if (last > 0 && STREET_SUFFIXES[street[last]]) {
+        street[last] = STREET_SUFFIXES[street[last]];
+        last--;
+    }
+    if (last > 0 && DIRECTIONALS[street[0]]) {
+        street[0] = DIRECTIONALS[street[0]];
+    }
+
+    return street;
+}
+
+/**
+ * State code for a code or state name, or null
+ */
+function toStateCode(words) {
+    const text = words.join(' ');
+    if (STATES[text]) return text;
+    return STATE_CODES[text] || null;
+}
+
+/**
+ * Peel a trailing ZIP code, state and country off a list of words
+ * Returns the remaining words; found parts are written to `parts`
+ */
+function takeRegion(words, parts) {
+    const rest = [...words];
+
+    if (rest.length > 1 && rest.slice(-2).join(' ') === 'UNITED STATES') rest.splice(-2);
+    if (['USA', 'US'].includes(rest[rest.length - 1]) && rest.length > 1) rest.pop();
+
+    if (!parts.zip && ZIP_PATTERN.test(rest[rest.length - 1])) {
+        parts.zip = rest.pop().slice(0, 5);
+    } else if (!parts.zip && rest.length > 1 && ZIP_LIKE_PATTERN.test(rest[rest.length - 1])) {
+        parts.invalidZip = rest.pop();
+    }
+
+    // State names run up to three words ("District of Columbia"); try the longest first
+    for (let size = Math.min(3, rest.length); size > 0 && !parts.state; size--) {
+        const state = toStateCode(rest.slice(-size));
+        if (state) {
+            parts.state = state;
+            rest.splice(-size);
+        }
+    }
+
+    return rest;
+}
+
+/**
+ * Take a unit ("APT 2B", "# 4") out of a list of words
+ * Returns { before, unit, after } where unit is null when there is no designator
+ */
+function takeUnit(words) {
+    const index = words.findIndex((word, position) => position > 0 && UNIT_DESIGNATORS[word] && words[position + 1]);
+    if (index === -1) return { before: words, unit: null, after: [] };
+
+    return {
+        before: words.slice(0, index),
+        unit: [UNIT_DESIGNATORS[words[index]], words[index + 1]],
+        after: words.slice(index + 2)
+    };
+}
+
+/**
+ * Split a one-line US address into word lists and codes:
+ * { number, street: [words], unit: [designator, id] | null, city, state, zip, invalidZip }
+ * Street words stay unabbreviated so callers can choose between loose comparison and USPS formatting.
+ */
+function splitAddress(text) {
+    const parts = { number: null, street: [], unit: null, city: null, state: null, zip: null, invalidZip: null };
+    const segments = String(text || '').split(/[,\n]/).map(segment => toWords(segment)).filter(words => words.length > 0);
+
+    if (segments.length === 0) return parts;
+
+    // A segment holding only a unit ("411 Main St, Apt 2, Sanford") belongs to the street line
+    const [first, ...others] = segments;
+    const regionSegments = [];
+    for (const words of others) {
+        if (UNIT_DESIGNATORS[words[0]] && words.length === 2 && !parts.unit) {
+            parts.unit = [UNIT_DESIGNATORS[words[0]], words[1]];
+        } else {
+            regionSegments.push(words);
+        }
+    }
+
+    // Region parts come last: scan the trailing segments from the end
+    for (const words of [...regionSegments].reverse()) {
+        const rest = takeRegion(words, parts);
+        if (rest.length > 0) parts.city = rest.join(' ');
+    }
+
+    // Without commas, the city, state and ZIP follow the street on one line
+    const line = regionSegments.length === 0 ? takeRegion(first, parts) : first;
+    const { before, unit, after } = takeUnit(line);
+    let streetLine = before;
+    let trailing = after;
+    parts.unit = parts.unit || unit;
+
+    if (/^\d+[A-Z]?(?:-\d+)?$/.test(streetLine[0]) && streetLine.length > 1) {
+        parts.number = streetLine[0];
+        streetLine = streetLine.slice(1);
+    }
+
+    // Still no city: whatever follows the street suffix ("CRUSADERS DR SANFORD") is the city
+    if (!parts.city && regionSegments.length === 0) {
+        const suffix = streetLine.findIndex((word, position) => position > 0 && STREET_SUFFIXES[word]);
+        if (suffix !== -1) {
+            const end = DIRECTIONALS[streetLine[suffix + 1]] && streetLine.length > suffix + 2 ? suffix + 2 : suffix + 1;
+            trailing = [...streetLine.slice(end), ...trailing];
+            streetLine = streetLine.slice(0, end);
+        }
+        if (trailing.length > 0) parts.city = trailing.join(' ');
+    }
+
+    parts.street = streetLine;
+    return parts;
+}
+
+/**
+ * Parse and normalize a one-line US address
+ * Returns { street, unit, city, state, zip, normalized } in upper case with USPS abbreviations and null
+ * for missing parts; `normalized` is the address rebuilt on one line ("411 CRUSADERS DR, SANFORD, NC 27330").
+ */
+function parseAddress(text) {
+    const parts = splitAddress(text);
+
+    const street = [parts.number, ...standardizeStreet(parts.street)].filter(Boolean).join(' ') || null;
+    const unit = parts.unit ? parts.unit.join(' ') : null;
+    const region = [parts.state, parts.zip].filter(Boolean).join(' ');
+    const normalized = [[street, unit].filter(Boolean).join(' '), parts.city, region].filter(Boolean).join(', ');
+
+    return { street, unit, city: parts.city, state: parts.state, zip: parts.zip, normalized };
+}
+
+/**
+ * List what makes an address impossible to look up; empty when it is usable
+ * Requires a state and a street or city, and a well-formed ZIP when one is given
+ */
+function validateAddress(text) {
+    if (!String(text || '').trim()) return ['address is empty'];
+
+    const parts = splitAddress(text);
+    const problems = [];
+
+    if (parts.invalidZip) problems.push(`malformed ZIP code "${parts.invalidZip}" (expected 12345 or 12345-6789)`);
+    if (!parts.state) problems.push('missing state');
+    if (parts.street.length === 0 && !parts.city) problems.push('missing street or city');
+
+    return problems;
+}
+
+/**
+ * Whether two words are the same, allowing one typo in longer words
+ */
+function similarWords(a, b) {
+    if (a === b) return true;
+    if (Math.min(a.length, b.length) < 4 || Math.abs(a.length - b.length) > 1) return false;
+
+    // Single edit (insert, delete or substitute)
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            i++;
+            j++;
+            continue;
+        }
+        if (++edits > 1) return false;
+        if (a.length > b.length) i++;
+        else if (b.length > a.length) j++;
+        else { i++; j++; }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Share of `expected` words found in `words`
+ */
+function wordOverlap(expected, words) {
+    if (expected.length === 0) return 0;
+    const found = expected.filter(word => words.some(other => similarWords(word, other)));
+    return found.length / expected.length;
+}
+
+/**
+ * Score how well a geocoder candidate label matches the requested address, from 0 to 100 (like ArcGIS candidate scores)
+ * Compares street number, street name, city, state and ZIP; only parts present in the
+ * request count, so "411 Crusaders Dr, Sanford" is not penalised for leaving out the ZIP.
+ */
+function scoreCandidate(address, label) {
+    const wanted = splitAddress(address);
+    const candidate = splitAddress(label);
+    const wantedStreet = abbreviate(wanted.street);
+
+    let total = 0;
+    let matched = 0;
+    const add = (part, score) => {
+        total += MATCH_WEIGHTS[part];
+        matched += MATCH_WEIGHTS[part] * score;
+    };
+
+    if (wanted.number) add('number', wanted.number === candidate.number ? 1 : 0);
+    if (wantedStreet.length > 0) add('street', wordOverlap(abbreviate(candidate.street), wantedStreet));
+
+    if (wanted.city) {
+        add('city', candidate.city && wordOverlap(toWords(candidate.city), toWords(wanted.city)) === 1 ? 1 : 0);
+    } else if (candidate.city && wordOverlap(abbreviate(toWords(candidate.city)), wantedStreet) === 1) {
+        // City typed without commas or a street suffix ended up among the street words
+        add('city', 1);
+    }
+
+    if (wanted.state) add('state', wanted.state === candidate.state ? 1 : 0);
+    if (wanted.zip) add('zip', wanted.zip === candidate.zip ? 1 : 0);
+
+    return total > 0 ? Math.round((matched / total) * 100) : 0;
+}
+
+/**
+ * Score every candidate label and pick the best
+ * Returns { label, index, score, ambiguous, candidates } where `ambiguous` is set when the best score is
+ * below `minScore` or a different candidate scores just as well; null when there are no candidates.
+ */
+function chooseCandidate(address, labels, minScore) {
+    const candidates = labels
+        .map((label, index) => ({ label, index, score: scoreCandidate(address, label) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const [best, runnerUp] = candidates;
+    if (!best) return null;
+
+    const tied = runnerUp && runnerUp.score === best.score
+        && parseAddress(runnerUp.label).normalized !== parseAddress(best.label).normalized;
+
+    return { ...best, ambiguous: best.score < minScore || Boolean(tied), candidates };
+}
+
+module.exports = {
+    STATES,
+    parseAddress,
+    validateAddress,
+    scoreCandidate,
+    chooseCandidate
+};
@@ -0,0 +1,158 @@
+/**
+ * Failure artifacts: what a failed lookup left behind, for fixing the flow without reproducing the failure
+ *
+ * A recorder listens to the page for the whole lookup; when the lookup fails its page HTML, a screenshot, the
+ * browser console messages and a HAR-style log of the network traffic are saved to the key-value store under
+ * a key built from the failing address, and the keys are referenced from the error record.
+ */
+
+const { CONFIG } = require('./config');
+const { MAX_KEY_LENGTH, toRecordKey, buildLocationKey } = require('./cache');
+const { log } = require('./logger');
+
+// Longest suffix added to the base key (_screenshot)
+const SUFFIX_LENGTH = 11;
+
+// Response bodies worth keeping in the network log: the site's JSON and text, not images or scripts
+const TEXT_CONTENT = /json|text\/(plain|html)/i;
+
+function toHarHeaders(headers) {
+    return Object.entries(headers).map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Start recording the console messages and network traffic of a page
+ * @returns {{ consoleMessages, entries, toHar(), dispose() }} entries are HAR 1.2 entries
+ */
+function createFailureRecorder(page, { maxEntries = CONFIG.artifacts.maxNetworkEntries, maxBodyBytes = CONFIG.artifacts.maxBodyBytes } = {}) {
+    const consoleMessages = [];
+    const entries = [];
+    const pending = new Map();
+
+    const onConsole = (message) => {
+        consoleMessages.push({ time: new Date().toISOString(), type: message.type(), text: message.text(), url: message.location()?.url || null });
+    };
+    const onPageError = (error) => {
+        consoleMessages.push({ time: new Date().toISOString(), type: 'pageerror', text: error.message, url: null });
+    };
+
+    const onRequest = (request) => {
+        if (entries.length >= maxEntries) return;
+
+        const entry = {
+            startedDateTime: new Date().toISOString(),
+            time: -1,
+            request: {
+                method: request.method(),
+                url: request.url(),
+                headers: toHarHeaders(request.headers()),
+                ...(request.postData() ? { postData: { mimeType: request.headers()['content-type'] || '', text: request.postData() } } : {})
+            },
+            // Filled in by the response; requests still open when the lookup failed keep status 0
+            response: { status: 0, statusText: '', headers: [], content: { size: -1, mimeType: '' } },
+            _resourceType: request.resourceType(),
+            _error: null
+        };
+        entries.push(entry);
+        pending.set(request, { entry, start: Date.now() });
+    };
+
+    const onResponse = async (response) => {
+        const open = pending.get(response.request());
+        if (!open) return;
+
+        const headers = response.headers();
+        const mimeType = headers['content-type'] || '';
+        open.entry.time = Date.now() - open.start;
+        open.entry.response = {
+            status: response.status(),
+            statusText: response.statusText(),
+            headers: toHarHeaders(headers),
+            content: { size: Number(headers['content-length']) || -1, mimeType }
+        };
+
+        if (!TEXT_CONTENT.test(mimeType)) return;
+        try {
+            const text = await response.text();
+            open.entry.response.content.size = text.length;
+            if (text.length <= maxBodyBytes) open.entry.response.content.text = text;
+        } catch (error) {
+            // Body unavailable (redirect, page closed) - headers only
+        }
+    };
+
+    const onRequestFailed = (request) => {
+        const open = pending.get(request);
+        if (!open) return;
+
+        open.entry.time = Date.now() - open.start;
+        open.entry._error = request.failure()?.errorText || 'failed';
+    };
+
+    page.on('console', onConsole);
+    page.on('pageerror', onPageError);
+    page.on('request', onRequest);
+    page.on('response', onResponse);
+    page.on('requestfailed', onRequestFailed);
+
+    return {
+        consoleMessages,
+        entries,
+        toHar: () => ({
+            log: { version: '1.2', creator: { name: 'asce-wind-actor', version: '1.0.0' }, pages: [], entries }
+        }),
+        dispose: () => {
+            page.off('console', onConsole);
+            page.off('pageerror', onPageError);
+            page.off('request', onRequest);
+            page.off('response', onResponse);
+            page.off('requestfailed', onRequestFailed);
+        }
+    };
+}
+
+/**
+ * Base key of a failed lookup's artifacts: "failure_" and the lookup's location (normalized address or
+ * rounded coordinates), after the run's key prefix
+ */
+function buildArtifactKey({ address, coordinates }, prefix = '') {
+    return toRecordKey([`${prefix}failure`, buildLocationKey({ address, coordinates })], MAX_KEY_LENGTH - SUFFIX_LENGTH);
+}
+
+/**
+ * Save the artifacts of a failed lookup
+ * A page that crashed may not give up its HTML or a screenshot; the artifacts that could not be saved are null
+ *
+ * @param {Page} page - The lookup's page, as the failure left it
+ * @param {object} recorder - createFailureRecorder() of the page
+ * @param {object} options - { keyValueStore, key } where key is buildArtifactKey()
+ * @returns {Promise<object>} { html, screenshot, console, network } key-value store keys
+ */
+async function saveFailureArtifacts(page, recorder, { keyValueStore, key }) {
+    const save = async (suffix, read, contentType) => {
+        const artifactKey = `${key}_${suffix}`;
+        try {
+            await keyValueStore.setValue(artifactKey, await read(), contentType ? { contentType } : undefined);
+            return artifactKey;
+        } catch (error) {
+            log.warn(`Failed to save failure artifact ${artifactKey}: ${error.message}`);
+            return null;
+        }
+    };
+
+    const artifacts = {
+        html: await save('html', () => page.content(), 'text/html'),
+        screenshot: await save('screenshot', () => page.screenshot({ fullPage: true }), 'image/png'),
+        console: await save('console', () => recorder.consoleMessages),
+        network: await save('network', () => recorder.toHar())
+    };
+
+    log.info(`🧾 Failure artifacts saved: ${key} (${recorder.consoleMessages.length} console message(s), ${recorder.entries.length} request(s))`, { artifacts });
+    return artifacts;
+}
+
+module.exports = {
+    createFailureRecorder,
+    buildArtifactKey,
+    saveFailureArtifacts
+};
@@ -0,0 +1,39 @@
+/**
+ * Browser launch and page setup
+ */
+
+const puppeteer = require('puppeteer');
+const { BROWSER } = require('./config');
+const { log } = require('./logger');
+
+/**
+ * Launch Chromium with the actor's settings
+ * PUPPETEER_EXECUTABLE_PATH is honoured so the Apify image's bundled Chrome is used
+ */
+async function launchBrowser({ headless = true } = {}) {
+    log.info('🌐 Launching browser...');
+    const browser = await puppeteer.launch({
+        headless,
+        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+        args: BROWSER.args
+    });
+    log.info('✅ Browser launched');
+
+    return browser;
+}
+
+/**
+ * Open a page with the viewport and user agent every lookup expects
+ */
+async function openPage(browser) {
+    const page = await browser.newPage();
+    await page.setViewport(BROWSER.viewport);
+    await page.setUserAgent(BROWSER.userAgent);
+
+    return page;
+}
+
+module.exports = {
+    launchBrowser,
+    openPage
+};
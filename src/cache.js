@@ -0,0 +1,104 @@
+/**
+ * Result cache in front of the browser lookup
+ *
+ * Successful records are stored in a key-value store (a named Apify store on the platform) under a key
+ * built from the normalized address, or the rounded coordinates, plus the risk category, ASCE edition
+ * and extra hazards. Design wind speeds only change with a new ASCE edition, so entries live for days.
+ */
+
+const crypto = require('crypto');
+const { parseAddress } = require('./address');
+const { log } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Apify key-value store keys: at most 256 characters from a-zA-Z0-9!-_.'()
+const MAX_KEY_LENGTH = 256;
+
+/**
+ * Turn key parts into a key-value store key: joined with "_", spaces as "-", other characters dropped
+ * Keys longer than maxLength keep a readable prefix and are made unique with a hash
+ */
+function toRecordKey(parts, maxLength = MAX_KEY_LENGTH) {
+    const key = parts.join('_').replace(/\s+/g, '-').replace(/[^a-zA-Z0-9!\-_.'()]/g, '');
+
+    if (key.length <= maxLength) return key;
+
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return `${key.slice(0, maxLength - hash.length - 1)}_${hash}`;
+}
+
+/**
+ * Key part for the place a lookup is for
+ * The address is normalized, so "411 Crusaders Drive, Sanford, NC" and "411 crusaders dr sanford nc" share it.
+ * Coordinates win over the address (as they do in the lookup) and are rounded to 4 decimals (~11 m)
+ */
+function buildLocationKey({ address, coordinates }) {
+    return coordinates
+        ? `loc_${coordinates.latitude.toFixed(4)}_${coordinates.longitude.toFixed(4)}`
+        : `addr_${parseAddress(address).normalized}`;
+}
+
+/**
+ * Build the cache key for one lookup: its location, risk category, ASCE edition and extra hazards
+ */
+function buildCacheKey({ address, coordinates, riskCategory, asceEdition, hazards = [] }) {
+    const extras = hazards.filter(type => type !== 'wind').sort();
+
+    return toRecordKey([buildLocationKey({ address, coordinates }), riskCategory, asceEdition || 'default', ...extras]);
+}
+
+/**
+ * Wrap a key-value store as a lookup cache
+ *
+ * @param {object} store - Key-value store with getValue/setValue (Apify or createDirectoryStore)
+ * @param {object} options - { ttlDays, forceRefresh } where forceRefresh skips reads but still stores new results
+ * @returns {{ get(lookup): Promise<object|null>, set(lookup, result): Promise<void> }}
+ */
+function createCache(store, { ttlDays, forceRefresh = false }) {
+    return {
+        async get(lookup) {
+            if (forceRefresh) return null;
+
+            const key = buildCacheKey(lookup);
+            const cached = await store.getValue(key);
+            if (!cached) return null;
+
+            const age = Date.now() - Date.parse(cached.timestamp);
+            if (!(age <= ttlDays * DAY_MS)) {
+                log.info(`🗄️ Cache entry ${key} expired (${Math.floor(age / DAY_MS)} days old)`);
+                return null;
+            }
+
+            // The report is not part of the key; an entry without one only answers lookups that don't want it
+            if (lookup.includeReport && !cached.report?.url) {
+                log.info(`🗄️ Cache entry ${key} has no hazard report, looking up again`);
+                return null;
+            }
+
+            log.info(`🗄️ Cache hit: ${key} (looked up ${cached.timestamp})`, { cacheKey: key });
+            return cached;
+        },
+
+        async set(lookup, result) {
+            // Only successful lookups are worth repeating; failures should be retried next run
+            if (!result.success) return;
+
+            const key = buildCacheKey(lookup);
+            try {
+                await store.setValue(key, result);
+                log.info(`🗄️ Cached as ${key}`);
+            } catch (error) {
+                log.warn(`Failed to cache result ${key}: ${error.message}`);
+            }
+        }
+    };
+}
+
+module.exports = {
+    MAX_KEY_LENGTH,
+    toRecordKey,
+    buildLocationKey,
+    buildCacheKey,
+    createCache
+};
@@ -0,0 +1,143 @@
+/**
+ * Configuration, selectors and lookup constants shared by the extractor and its entry points
+ */
+
+// Configuration
+const CONFIG = {
+    url: 'https://ascehazardtool.org/',
+    // Each step waits on an observable condition, bounded by its own timeout (ms)
+    timeouts: {
+        navigation: 60000,
+        element: 30000,
+        action: 5000,
+        suggestions: 3000,  // suggestion list under the address input after typing
+        geocoder: 15000,    // geocoder reply after SEARCH
+        dropdown: 10000,    // risk dropdown enabled once a location is set
+        results: 30000,     // results panel done "Retrieving Data..."
+        network: 5000,      // hazard JSON response after the panel renders
+        report: 30000       // report PDF after clicking the report button
+    },
+    // Retries after the first attempt for transient failures, with exponential backoff (ms)
+    retries: 3,
+    retryBackoff: 2000,
+    // Lowest match score (0-100) a geocoder candidate needs before its location is used
+    minMatchScore: 80,
+    // Named key-value store that keeps successful results between runs, and how long they stay valid
+    cache: {
+        storeName: 'wind-speed-cache',
+        ttlDays: 90
+    },
+    // Named key-value store with the last successful result per lookup, kept for change detection, and how far
+    // (m) the coordinates may move before it counts as a change (geocoder rooftop vs. street point is ~10-30 m)
+    history: {
+        storeName: 'wind-speed-history',
+        coordinateTolerance: 50
+    },
+    // Plausibility checks: how far (m) the tool may place a coordinate lookup from the supplied coordinates
+    // before the lookup fails (the site location is shown to 4 decimals, ~11 m)
+    plausibility: {
+        coordinateTolerance: 50
+    },
+    // Webhook POSTs: retries after the first attempt with exponential backoff (ms), and the per-request timeout
+    webhook: {
+        retries: 3,
+        backoff: 1000,
+        timeout: 10000
+    },
+    // Server mode: pages kept open on the warm browser, requests allowed to wait for one, and the port
+    // when the platform doesn't assign one (ACTOR_STANDBY_PORT)
+    server: {
+        poolSize: 2,
+        maxQueue: 20,
+        port: 4321
+    },
+    // Failure artifacts: network requests kept in the HAR-style log, and the largest JSON/text response body kept with one
+    artifacts: {
+        maxNetworkEntries: 1000,
+        maxBodyBytes: 100000
+    },
+    // Run summary: most recent durations kept per step (and for whole lookups) to compute the p95 from
+    metrics: {
+        maxSamples: 1000
+    },
+    // Diagnose mode: address looked up when the input names none (the README example, known to resolve)
+    diagnose: {
+        address: '411 Crusaders Drive, Sanford, NC 27330'
+    }
+};
+
+// How a run works: look up the input once, serve lookups over HTTP until stopped, or check the site for drift
+const MODES = ['batch', 'server', 'diagnose'];
+
+// When the webhook is called: for each record as it is ready, or once with the summary of the run
+const WEBHOOK_EVENTS = ['record', 'batch'];
+
+// Risk categories in dropdown order (option values are 1-based indexes into this list)
+const RISK_CATEGORIES = ['I', 'II', 'III', 'IV'];
+
+// ASCE 7 editions accepted in input (the site may not offer all of them)
+const ASCE_EDITIONS = ['7-10', '7-16', '7-22'];
+
+// Geocoder requests made by the search box (ArcGIS World Geocoder)
+const GEOCODER_URL_PATTERN = /findAddressCandidates|\/geocode|reverseGeocode/i;
+
+// Type-ahead requests made while typing; they list suggestions but do not place a location
+const GEOCODER_SUGGEST_PATTERN = /\/suggest\b/i;
+
+// Hazard data requests made for VIEW RESULTS; the only responses the wind speed is read from
+// (map layers, tiles and report requests can carry wind-related numbers that are not the design speed)
+const HAZARD_API_URL_PATTERN = /\/hazards?(?:\/|\?|$)|api-?hazard/i;
+
+// Selectors (verified from actual page inspection on 2025-12-19)
+const SELECTORS = {
+    // Modal/cookie dismissal - greeting modal appears on load
+    modalCloseButton: 'div.modal-header span, i.close-modal, .close-modal',
+
+    // Search interface - left sidebar
+    addressInput: '#geocoder_input',
+    addressInputPlaceholder: 'Find address or place',
+    searchButton: 'div.search-button, .search-button',
+    addressSuggestions: '.geocoder-suggestions li, .suggestionsMenu li, [role="listbox"] [role="option"]',
+
+    // ASCE 7 standard edition - dropdown with ID (options read "ASCE/SEI 7-22", ...)
+    standardDropdown: '#standards-selector',
+
+    // Risk category selection - dropdown with ID
+    riskCategoryDropdown: '#risk-level-selector',
+
+    // Hazard type selection - checkboxes in list
+    windCheckbox: 'label:has-text("Wind")',
+
+    // Results
+    viewResultsButton: '.view-results, button.view-results',
+
+    // Hazard report export - shown with the results
+    reportButton: '#reportButton a, .report-button, button.get-report'
+};
+
+// Browser settings - one place for the actor, the local runner and tests
+const BROWSER = {
+    args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-features=IsolateOrigins,site-per-process'
+    ],
+    viewport: { width: 1280, height: 800 },
+    // User agent to appear as regular browser
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+};
+
+module.exports = {
+    CONFIG,
+    MODES,
+    WEBHOOK_EVENTS,
+    RISK_CATEGORIES,
+    ASCE_EDITIONS,
+    GEOCODER_URL_PATTERN,
+    GEOCODER_SUGGEST_PATTERN,
+    HAZARD_API_URL_PATTERN,
+    SELECTORS,
+    BROWSER
+};
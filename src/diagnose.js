@@ -0,0 +1,182 @@
+/**
+ * Site drift diagnostics for diagnose mode
+ *
+ * Loads the Hazard Tool and checks every selector and text anchor the lookup flow depends on, then runs one
+ * lookup for a known address and checks the results panel. Each anchor is reported as found by its primary
+ * locator, found only by the fallback the extractor would use, or missing, with screenshots of each stage.
+ */
+
+const { CONFIG, SELECTORS } = require('./config');
+const { saveScreenshot, dismissModals, extractWindSpeed } = require('./extractor');
+const { log } = require('./logger');
+
+/**
+ * Anchors of the lookup flow, in the order the extractor uses them
+ * A locator is a selector, optionally narrowed to elements whose trimmed text matches `text`; `fallback` is what
+ * the extractor falls back to when the primary locator misses. Optional anchors (the site may legitimately not
+ * show them) only warn when missing.
+ */
+const ANCHORS = [
+    // On page load
+    { name: 'welcomeModal', stage: 'load', selector: '#welcomePopup', fallback: { selector: '.details-popup' }, optional: true },
+    { name: 'cookieBanner', stage: 'load', selector: 'button.cc-btn.cc-dismiss', optional: true },
+    { name: 'addressInput', stage: 'load', selector: SELECTORS.addressInput },
+    { name: 'addressInputPlaceholder', stage: 'load', selector: `input[placeholder="${SELECTORS.addressInputPlaceholder}"]`, optional: true },
+    {
+        name: 'searchButton', stage: 'load', selector: 'div, button, span', text: /^SEARCH$/,
+        fallback: { selector: '.search-button, [class*="search-btn"]' }
+    },
+    { name: 'standardDropdown', stage: 'load', selector: SELECTORS.standardDropdown },
+    { name: 'riskCategoryDropdown', stage: 'load', selector: SELECTORS.riskCategoryDropdown },
+    { name: 'windHazard', stage: 'load', selector: 'label', text: /Wind/, fallback: { selector: 'input[type="checkbox"][value="wind"]' } },
+    { name: 'leftPanel', stage: 'load', selector: '#leftPanel', optional: true },
+    {
+        name: 'viewResultsButton', stage: 'load', selector: '#resultsButton a',
+        fallback: { selector: 'button, a, div, span', text: /^VIEW RESULTS?$/i }
+    },
+    {
+        name: 'reportButton', stage: 'load', selector: SELECTORS.reportButton,
+        fallback: { selector: 'button, a', text: /^(GET |PRINT |DOWNLOAD )?REPORT$/i }, optional: true
+    },
+
+    // After typing an address
+    { name: 'addressSuggestions', stage: 'search', selector: SELECTORS.addressSuggestions, optional: true },
+
+    // After a lookup
+    { name: 'resultsPanel', stage: 'results', selector: '.loads-container' },
+    { name: 'windSpeedValue', stage: 'results', selector: '.loads-container__main-details', fallback: { selector: '#leftPanel', text: /\d{2,3}\s*(Vmph|mph)/i } },
+    { name: 'siteLocation', stage: 'results', selector: '#leftPanel', text: /Latitude[\s\S]*Longitude/i, fallback: { selector: 'div', text: /Latitude[\s\S]*Longitude/i } }
+];
+
+/**
+ * Check the anchors of one stage on the current page
+ * @returns {Promise<object[]>} { name, stage, selector, text, status: "ok"|"fallback"|"missing", visible, optional, passed }
+ */
+async function checkAnchors(page, stage) {
+    const anchors = ANCHORS.filter(anchor => anchor.stage === stage);
+
+    // RegExps don't cross into the page; send source and flags
+    const locate = ({ selector, text }) => ({ selector, text: text ? { source: text.source, flags: text.flags } : null });
+    const found = await page.evaluate((locators) => {
+        const find = ({ selector, text }) => {
+            const elements = Array.from(document.querySelectorAll(selector));
+            if (!text) return elements[0] || null;
+            const pattern = new RegExp(text.source, text.flags);
+            return elements.find(el => pattern.test(el.textContent.trim())) || null;
+        };
+        const visible = el => Boolean(el && (el.offsetWidth || el.offsetHeight || el.getClientRects().length));
+
+        return locators.map(({ primary, fallback }) => {
+            const el = find(primary);
+            if (el) return { status: 'ok', visible: visible(el) };
+            const alternative = fallback ? find(fallback) : null;
+            if (alternative) return { status: 'fallback', visible: visible(alternative) };
+            return { status: 'missing', visible: false };
+        });
+    }, anchors.map(anchor => ({ primary: locate(anchor), fallback: anchor.fallback ? locate(anchor.fallback) : null })));
+
+    return anchors.map((anchor, index) => ({
+        name: anchor.name,
+        stage,
+        selector: anchor.selector,
+        text: anchor.text ? String(anchor.text) : null,
+        ...found[index],
+        optional: Boolean(anchor.optional),
+        passed: found[index].status === 'ok'
+    }));
+}
+
+/**
+ * Run the site diagnostics
+ *
+ * @param {Page} page - Puppeteer page to drive
+ * @param {object} options - { address, riskCategory, asceEdition, keyValueStore, url, timeouts }
+ *   (address defaults to CONFIG.diagnose.address, a lookup known to work)
+ * @returns {Promise<object>} { status: "pass"|"warn"|"fail", passed, url, address, checks, failed, warnings,
+ *   fallbacks, lookup, screenshots, checkedAt }
+ *   fail: a required anchor is missing or the lookup failed; warn: fallbacks were needed or an optional
+ *   anchor is missing
+ */
+async function runDiagnostics(page, options) {
+    const { address = CONFIG.diagnose.address, riskCategory = 'II', asceEdition = null, keyValueStore, url = CONFIG.url } = options;
+    const timeouts = { ...CONFIG.timeouts, ...options.timeouts };
+    const screenshots = [];
+    const screenshot = async (name) => {
+        await saveScreenshot(page, name, { debugMode: true, keyValueStore });
+        screenshots.push(name);
+    };
+
+    log.info(`🩺 Diagnosing ${url} with "${address}"...`);
+    const checks = [];
+
+    // Stage 1: the page as loaded, before anything is dismissed or typed
+    try {
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: timeouts.navigation });
+    } catch (error) {
+        log.warn(`⚠️ Hazard Tool did not load: ${error.message}`);
+    }
+    await screenshot('diagnose_01_loaded');
+    checks.push(...await checkAnchors(page, 'load'));
+
+    // Stage 2: the suggestion list shown while typing
+    await dismissModals(page, timeouts);
+    const input = await page.$(SELECTORS.addressInput);
+    if (input) {
+        await input.type(address, { delay: 20 });
+        await page.waitForSelector(SELECTORS.addressSuggestions, { visible: true, timeout: timeouts.suggestions }).catch(() => null);
+    }
+    await screenshot('diagnose_02_suggestions');
+    checks.push(...await checkAnchors(page, 'search'));
+
+    // Stage 3: a full lookup (it loads the page again), then the results panel it left behind
+    const result = await extractWindSpeed(page, address, {
+        riskCategory, asceEdition, url, timeouts, keyValueStore, debugMode: true, captureOnFailure: true, screenshotPrefix: 'diagnose_lookup_'
+    });
+    await screenshot('diagnose_03_results');
+    checks.push(...await checkAnchors(page, 'results'));
+
+    const failed = checks.filter(check => check.status === 'missing' && !check.optional).map(check => check.name);
+    const warnings = checks.filter(check => !check.passed && !failed.includes(check.name))
+        .map(check => `${check.name}: ${check.status === 'fallback' ? 'found only by its fallback' : 'not found'}`);
+    warnings.push(...result.fallbacks.map(({ step, fallback }) => `${step}: ${fallback}`));
+
+    let status = 'pass';
+    if (failed.length > 0 || !result.success) {
+        status = 'fail';
+    } else if (warnings.length > 0) {
+        status = 'warn';
+    }
+
+    const report = {
+        status,
+        passed: status !== 'fail',
+        url,
+        address,
+        checks,
+        failed,
+        warnings,
+        fallbacks: result.fallbacks,
+        lookup: {
+            success: result.success,
+            windSpeed: result.windSpeed,
+            extractionMethod: result.extractionMethod,
+            error: result.error
+        },
+        screenshots,
+        checkedAt: new Date().toISOString()
+    };
+
+    const icon = { pass: '✅', warn: '⚠️', fail: '❌' }[status];
+    log.info(`${icon} Diagnosis ${status}: ${checks.filter(check => check.passed).length}/${checks.length} anchors found, `
+        + `${result.fallbacks.length} fallback(s) used, lookup ${result.success ? `returned ${result.windSpeed} mph` : 'failed'}`);
+    for (const name of failed) log.warn(`❌ Missing: ${name}`);
+    for (const warning of warnings) log.warn(`⚠️ ${warning}`);
+
+    return report;
+}
+
+module.exports = {
+    ANCHORS,
+    checkAnchors,
+    runDiagnostics
+};
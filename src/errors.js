@@ -0,0 +1,81 @@
+/**
+ * Lookup failures: machine-readable error codes and their classification for the retry policy
+ */
+
+// Stable error codes reported in result.error.code (documented in the dataset schema's `error` field in
+// .actor/actor.json and in README.md)
+// `retryable` marks failures worth another attempt on a fresh page
+const ERROR_CODES = {
+    INVALID_INPUT: { retryable: false, description: 'The input was rejected before any lookup ran' },
+    NAVIGATION_FAILED: { retryable: true, description: 'The Hazard Tool page could not be loaded' },
+    SITE_LAYOUT_CHANGED: { retryable: false, description: 'An element the flow relies on is missing from the page' },
+    ADDRESS_NOT_FOUND: { retryable: false, description: 'The geocoder returned no match for the address' },
+    AMBIGUOUS_ADDRESS: { retryable: false, description: 'The geocoder returned no candidate that matches the address well enough' },
+    EDITION_NOT_OFFERED: { retryable: false, description: 'The requested ASCE 7 edition is not offered by the Hazard Tool' },
+    SELECTION_MISMATCH: { retryable: false, description: 'A dropdown did not read back the value that was selected' },
+    COORDINATES_MISMATCH: { retryable: false, description: 'The tool placed the site away from the supplied coordinates, or its location could not be read back' },
+    RESULTS_TIMEOUT: { retryable: true, description: 'The results panel did not finish loading in time' },
+    NO_RESULTS: { retryable: true, description: 'The results loaded but the wind speed could not be read' },
+    TIMEOUT: { retryable: true, description: 'A browser action timed out' },
+    BROWSER_ERROR: { retryable: true, description: 'The browser page crashed or was closed' },
+    REPORT_FAILED: { retryable: false, description: 'The hazard report PDF could not be captured' },
+    SERVER_BUSY: { retryable: true, description: 'Server mode: every page is busy and the request queue is full' },
+    UNKNOWN_ERROR: { retryable: false, description: 'Unexpected error; see the message' }
+};
+
+/**
+ * A failure raised by the extractor, carrying one of ERROR_CODES
+ * `step` is filled in by the step runner when not given here
+ */
+class ExtractionError extends Error {
+    constructor(code, message, { step = null } = {}) {
+        super(message);
+        this.name = 'ExtractionError';
+        this.code = code;
+        this.step = step;
+    }
+}
+
+// Browser failures that usually clear up on a fresh page
+const BROWSER_ERROR_PATTERNS = [
+    /Target closed/i,
+    /Session closed/i,
+    /Protocol error/i,
+    /detached Frame/i,
+    /frame was detached/i,
+    /Execution context was destroyed/i,
+    /Page crashed/i
+];
+
+/**
+ * Work out the error code for any thrown error
+ */
+function getErrorCode(error) {
+    if (error instanceof ExtractionError) return error.code;
+    if (error.step === 'navigate' && (error.name === 'TimeoutError' || /net::ERR_/.test(error.message))) return 'NAVIGATION_FAILED';
+    if (/net::ERR_/.test(error.message)) return 'NAVIGATION_FAILED';
+    if (error.name === 'TimeoutError') return 'TIMEOUT';
+    if (error.name === 'TargetCloseError' || BROWSER_ERROR_PATTERNS.some(pattern => pattern.test(error.message))) return 'BROWSER_ERROR';
+
+    return 'UNKNOWN_ERROR';
+}
+
+/**
+ * Turn a thrown error into the record stored in result.error
+ */
+function toErrorRecord(error) {
+    const code = getErrorCode(error);
+
+    return {
+        code,
+        message: error.message,
+        step: error.step || null,
+        retryable: ERROR_CODES[code].retryable
+    };
+}
+
+module.exports = {
+    ERROR_CODES,
+    ExtractionError,
+    toErrorRecord
+};
@@ -0,0 +1,1053 @@
+/**
+ * ASCE Hazard Tool page automation
+ *
+ * Drives the Hazard Tool for one address and returns a result record. Shared by the Apify actor
+ * (main.js) and the local runner (test-local.js); screenshots go to whatever key-value store the
+ * caller passes in, so the same code can write to Apify storage or a local directory.
+ */
+
+const { CONFIG, RISK_CATEGORIES, GEOCODER_URL_PATTERN, GEOCODER_SUGGEST_PATTERN, HAZARD_API_URL_PATTERN, SELECTORS } = require('./config');
+const { parseAddress, chooseCandidate } = require('./address');
+const { createFailureRecorder, buildArtifactKey, saveFailureArtifacts } = require('./artifacts');
+const { toRecordKey, buildCacheKey } = require('./cache');
+const { HAZARD_TYPES } = require('./hazards');
+const { ExtractionError, toErrorRecord } = require('./errors');
+const { log } = require('./logger');
+const { checkPlausibility, checkCoordinates } = require('./validation');
+const {
+    createResponseCollector, findHazardWindSpeed, parseGeocoderCoordinates, hasGeocoderCandidates, getGeocoderCandidates
+} = require('./network');
+
+/**
+ * Whether a recorded response is the geocoder's answer to a search (not a type-ahead suggestion list)
+ */
+function isGeocoderReply({ url }) {
+    return GEOCODER_URL_PATTERN.test(url) && !GEOCODER_SUGGEST_PATTERN.test(url);
+}
+
+/**
+ * Delay execution for specified milliseconds
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until a condition evaluated in the page is truthy
+ * Returns false on timeout instead of throwing, so callers decide whether a miss is fatal
+ */
+async function waitForCondition(page, condition, timeout, ...args) {
+    try {
+        await page.waitForFunction(condition, { timeout, polling: 100 }, ...args);
+        return true;
+    } catch (error) {
+        if (error.name === 'TimeoutError') return false;
+        throw error;
+    }
+}
+
+/**
+ * Check that the page is still open and runs scripts
+ */
+async function isPageAlive(page, timeouts) {
+    if (page.isClosed()) return false;
+    return waitForCondition(page, () => true, timeouts.action).catch(() => false);
+}
+
+/**
+ * Run one step of the flow and record how long it took and whether it failed (result.timings, result.steps)
+ */
+async function timeStep({ timings, steps }, step, action) {
+    const start = Date.now();
+    let error = null;
+    try {
+        return await action();
+    } catch (stepError) {
+        // Tag the error with the step it came from for result.error.step
+        stepError.step = stepError.step || step;
+        error = toErrorRecord(stepError);
+        throw stepError;
+    } finally {
+        timings[step] = Date.now() - start;
+        steps.push({ step, durationMs: timings[step], outcome: error ? 'failed' : 'ok', error: error?.code || null });
+        log.info(`⏱️ ${step}: ${timings[step]}ms${error ? ` (failed: ${error.code})` : ''}`, steps[steps.length - 1]);
+    }
+}
+
+/**
+ * Note that a step got by with a fallback because the selector or text anchor it relies on missed
+ * Collected in result.fallbacks: the lookup still works, but the site has probably drifted
+ */
+function recordFallback(fallbacks, step, fallback) {
+    fallbacks.push({ step, fallback });
+    log.warn(`🩹 ${step}: ${fallback}`, { step, fallback });
+}
+
+/**
+ * Save screenshot if debug mode is enabled
+ * In batch mode the key is prefixed so screenshots of different addresses don't overwrite each other
+ */
+async function saveScreenshot(page, name, options) {
+    const { debugMode, keyValueStore, screenshotPrefix = '' } = options;
+    if (!debugMode) return;
+
+    name = `${screenshotPrefix}${name}`;
+
+    try {
+        const screenshot = await page.screenshot({ fullPage: true });
+        await keyValueStore.setValue(name, screenshot, { contentType: 'image/png' });
+        log.info(`📸 Screenshot saved: ${name}`, { screenshot: name });
+    } catch (error) {
+        log.warn(`Failed to save screenshot ${name}: ${error.message}`);
+    }
+}
+
+/**
+ * Try to dismiss any modals or cookie banners
+ * Selectors confirmed via browser inspection:
+ * - Welcome modal: #welcomePopup (hide via DOM - close icon is tiny/inaccessible)
+ * - Cookie consent: button.cc-btn.cc-dismiss (text: "Got it!")
+ */
+async function dismissModals(page, timeouts = CONFIG.timeouts, fallbacks = []) {
+    log.info('🔍 Checking for modals/banners to dismiss...');
+
+    const dismissed = await page.evaluate(() => {
+        const results = [];
+
+        // 1. Cookie consent banner - dismiss first (at bottom of screen)
+        const cookieBtn = document.querySelector('button.cc-btn.cc-dismiss');
+        if (cookieBtn && cookieBtn.offsetParent !== null) {
+            cookieBtn.click();
+            results.push('cookie: Got it!');
+        }
+
+        // 2. Welcome modal - hide via DOM (close icon is tiny and not keyboard-accessible)
+        const popup = document.getElementById('welcomePopup');
+        if (popup) {
+            popup.style.display = 'none';
+            results.push('modal: hidden via style');
+        } else {
+            // Fallback: try removing by class
+            const popupByClass = document.querySelector('.details-popup');
+            if (popupByClass) {
+                popupByClass.remove();
+                results.push('modal: removed from DOM');
+            }
+        }
+
+        return results;
+    });
+
+    if (dismissed.includes('modal: removed from DOM')) {
+        recordFallback(fallbacks, 'dismissModals', 'welcome modal removed by class (.details-popup), #welcomePopup not found');
+    }
+
+    if (dismissed.length > 0) {
+        log.info(`✅ Dismissed: ${dismissed.join(', ')}`);
+    } else {
+        log.info('ℹ️ No modal/cookie banner found to dismiss');
+        return;
+    }
+
+    // Wait until neither the welcome modal nor the cookie banner is visible
+    const cleared = await waitForCondition(page, () => {
+        const visible = (el) => el && el.offsetParent !== null && getComputedStyle(el).display !== 'none';
+        return !visible(document.getElementById('welcomePopup')) && !visible(document.querySelector('button.cc-btn.cc-dismiss'));
+    }, timeouts.action);
+
+    if (!cleared) {
+        log.warn('⚠️ Modal or cookie banner still visible after dismissal');
+    }
+}
+
+/**
+ * Replace the text in the address input, typing it like a user would
+ * Returns the input's handle; throws if the input is missing from the page
+ */
+async function typeAddress(page, text, timeouts) {
+    // Use verified selector: #geocoder_input
+    const addressInput = await page.waitForSelector(SELECTORS.addressInput, { visible: true, timeout: timeouts.element })
+        .catch((error) => {
+            if (error.name === 'TimeoutError') return null;
+            throw error;
+        });
+    if (!addressInput) {
+        // A crashed page has no input either; only blame the site when the page still answers
+        if (!(await isPageAlive(page, timeouts))) {
+            throw new ExtractionError('BROWSER_ERROR', 'The page crashed or was closed while waiting for the address input');
+        }
+        throw new ExtractionError('SITE_LAYOUT_CHANGED', 'Could not find address input field (#geocoder_input)');
+    }
+
+    await addressInput.click({ clickCount: 3 });
+    await page.keyboard.press('Backspace');
+    // Type with human-like delay
+    await addressInput.type(text, { delay: 50 });
+
+    return waitForCondition(page, (selector, text) => {
+        return document.querySelector(selector)?.value === text;
+    }, timeouts.action, SELECTORS.addressInput, text);
+}
+
+/**
+ * Click the SEARCH button, or press Enter when it cannot be found
+ */
+async function clickSearch(page, fallbacks = []) {
+    log.info('🔍 Clicking SEARCH button...');
+
+    // Use page.evaluate to click by text content (more reliable)
+    const searchClicked = await page.evaluate(() => {
+        // Look for SEARCH button/div
+        const elements = document.querySelectorAll('div, button, span');
+        for (const el of elements) {
+            if (el.textContent.trim() === 'SEARCH') {
+                el.click();
+                return 'by-text';
+            }
+        }
+        // Fallback: look for search button class
+        const searchBtn = document.querySelector('.search-button, [class*="search-btn"]');
+        if (searchBtn) {
+            searchBtn.click();
+            return 'by-class';
+        }
+        return null;
+    });
+
+    if (searchClicked === 'by-class') {
+        recordFallback(fallbacks, 'search', 'SEARCH button found by class, not by its "SEARCH" text');
+    }
+
+    if (searchClicked) {
+        log.info('✅ SEARCH clicked');
+    } else {
+        // Fallback: press Enter
+        await page.keyboard.press('Enter');
+        recordFallback(fallbacks, 'search', 'SEARCH button not found, pressed Enter');
+    }
+}
+
+/**
+ * Read the suggestion list shown under the address input while typing
+ * Returns the visible suggestion labels in page order, or [] when no list appears in time
+ */
+async function readSuggestions(page, timeouts) {
+    const shown = await waitForCondition(page, (selector) => {
+        return Array.from(document.querySelectorAll(selector)).some(item => item.offsetParent !== null);
+    }, timeouts.suggestions, SELECTORS.addressSuggestions);
+
+    if (!shown) return [];
+
+    return page.$$eval(SELECTORS.addressSuggestions, items => items
+        .filter(item => item.offsetParent !== null)
+        .map(item => item.textContent.trim()));
+}
+
+/**
+ * Click the suggestion at `index` among the visible suggestions
+ */
+async function clickSuggestion(page, index) {
+    const clicked = await page.evaluate((selector, index) => {
+        const item = Array.from(document.querySelectorAll(selector)).filter(entry => entry.offsetParent !== null)[index];
+        if (!item) return false;
+        item.click();
+        return true;
+    }, SELECTORS.addressSuggestions, index);
+
+    if (!clicked) {
+        throw new ExtractionError('SITE_LAYOUT_CHANGED', 'Address suggestion disappeared before it could be clicked');
+    }
+}
+
+/**
+ * Score geocoder candidates against the address and return the best one
+ * Throws AMBIGUOUS_ADDRESS when no candidate is a clear, close enough match
+ */
+function matchCandidate(address, labels, minScore) {
+    const match = chooseCandidate(address, labels, minScore);
+    log.info(`📍 Geocoder candidates: ${match.candidates.map(({ label, score }) => `"${label}" (${score})`).join(', ')}`);
+
+    if (match.ambiguous && match.score >= minScore) {
+        const tied = match.candidates.filter(({ score }) => score === match.score).map(({ label }) => `"${label}"`);
+        throw new ExtractionError('AMBIGUOUS_ADDRESS', `Address "${address}" matches several places equally well: ${tied.join(', ')}`);
+    }
+    if (match.ambiguous) {
+        throw new ExtractionError('AMBIGUOUS_ADDRESS',
+            `No geocoder candidate matches "${address}" closely enough (best "${match.label}" scored ${match.score}, minimum ${minScore})`);
+    }
+
+    log.info(`✅ Matched "${match.label}" (score ${match.score})`);
+    return match;
+}
+
+/**
+ * Select an ASCE 7 edition in the standard dropdown, or read the site's default when none is requested
+ * Returns the edition shown by the dropdown (e.g. "7-22"); throws if the requested edition is not offered
+ */
+async function selectAsceEdition(page, edition) {
+    log.info(edition ? `📘 Selecting ASCE ${edition}...` : '📘 Reading default ASCE edition...');
+
+    const editionResult = await page.evaluate((selector, edition) => {
+        const select = document.querySelector(selector);
+        if (!select) return { success: false, error: 'dropdown not found' };
+
+        const options = Array.from(select.options).map(option => ({ value: option.value, text: option.text.trim() }));
+
+        if (edition) {
+            const option = options.find(entry => entry.text.includes(edition));
+            if (!option) return { success: false, error: 'edition not offered', available: options.map(entry => entry.text) };
+
+            select.value = option.value;
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        // Verify what the dropdown now shows
+        const selected = select.options[select.selectedIndex];
+        return { success: true, value: select.value, text: selected ? selected.text.trim() : null };
+    }, SELECTORS.standardDropdown, edition);
+
+    log.debug(`📋 Edition selection result: ${JSON.stringify(editionResult)}`);
+
+    if (!editionResult.success && editionResult.available) {
+        throw new ExtractionError('EDITION_NOT_OFFERED', `ASCE edition ${edition} is not offered by the Hazard Tool (available: ${editionResult.available.join(', ')})`);
+    }
+
+    if (!editionResult.success) {
+        throw new ExtractionError('SITE_LAYOUT_CHANGED', `Could not select ASCE edition: ${editionResult.error} (${SELECTORS.standardDropdown})`);
+    }
+
+    const selected = (editionResult.text || '').match(/7-\d{2}/);
+
+    if (edition && (!selected || selected[0] !== edition)) {
+        throw new ExtractionError('SELECTION_MISMATCH', `ASCE edition selection mismatch: expected "${edition}", dropdown shows "${editionResult.text}"`);
+    }
+
+    if (!selected) {
+        throw new ExtractionError('SITE_LAYOUT_CHANGED', `Could not read ASCE edition from dropdown option "${editionResult.text}"`);
+    }
+
+    log.info(`✅ ASCE edition: ${selected[0]} (value=${editionResult.value})`);
+    return selected[0];
+}
+
+/**
+ * Select a risk category in #risk-level-selector and verify it against the option text
+ * Throws if the dropdown is missing or the selected option does not read back as the requested category
+ */
+async function selectRiskCategory(page, category) {
+    log.info(`🎯 Selecting Risk Category ${category}...`);
+
+    // Dropdown uses numeric values: 1=I, 2=II, 3=III, 4=IV (confirmed via browser inspection)
+    const value = String(RISK_CATEGORIES.indexOf(category) + 1);
+
+    const riskResult = await page.evaluate((value) => {
+        const select = document.getElementById('risk-level-selector');
+        if (!select) return { success: false, error: 'dropdown not found' };
+
+        select.value = value;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+
+        // Verify it was set
+        const option = select.options[select.selectedIndex];
+        return { success: true, value: select.value, text: option ? option.text.trim() : null };
+    }, value);
+
+    log.debug(`📋 Risk selection result: ${JSON.stringify(riskResult)}`);
+
+    if (!riskResult.success) {
+        throw new ExtractionError('SITE_LAYOUT_CHANGED', `Could not select Risk Category ${category}: ${riskResult.error}`);
+    }
+
+    if (riskResult.text !== category) {
+        throw new ExtractionError('SELECTION_MISMATCH', `Risk Category selection mismatch: expected "${category}", dropdown shows "${riskResult.text}"`);
+    }
+
+    log.info(`✅ Selected Risk Category ${category} (value=${riskResult.value})`);
+}
+
+/**
+ * Tick a hazard type checkbox in the hazard list
+ */
+async function selectHazard(page, type, fallbacks = []) {
+    const { label } = HAZARD_TYPES[type];
+    log.info(`${type === 'wind' ? '💨' : '☑️'} Selecting ${label} hazard...`);
+
+    // Find and click the hazard label/checkbox
+    const clicked = await page.evaluate((label, type) => {
+        // Look for label containing the hazard name
+        const labels = document.querySelectorAll('label');
+        for (const el of labels) {
+            if (el.textContent.includes(label)) {
+                el.click();
+                return 'by-label';
+            }
+        }
+        // Fallback: look for checkbox input
+        const inputs = document.querySelectorAll('input[type="checkbox"]');
+        for (const input of inputs) {
+            if (input.value === type || input.id.includes(type)) {
+                input.click();
+                return 'by-checkbox';
+            }
+        }
+        return null;
+    }, label, type);
+
+    if (clicked === 'by-checkbox') {
+        recordFallback(fallbacks, 'selectHazards', `${label} checkbox found by value, no label reading "${label}"`);
+    }
+
+    if (clicked) {
+        log.info(`✅ Selected ${label} hazard`);
+    } else {
+        log.warn(`⚠️ ${label} checkbox not found`);
+    }
+}
+
+/**
+ * Scroll the left panel down and click VIEW RESULTS
+ */
+async function clickViewResults(page, timeouts = CONFIG.timeouts, fallbacks = []) {
+    log.info('📊 Clicking VIEW RESULTS...');
+
+    // Wait for the button to be rendered (it appears once a location and hazards are set)
+    await waitForCondition(page, () => {
+        if (document.querySelector('#resultsButton a')) return true;
+        return Array.from(document.querySelectorAll('button, a')).some(el => /^VIEW RESULTS?$/i.test(el.textContent.trim()));
+    }, timeouts.action);
+
+    // First scroll the left panel to make VIEW RESULTS visible
+    await page.evaluate(() => {
+        const panel = document.getElementById('leftPanel');
+        if (panel) {
+            panel.scrollTop = panel.scrollHeight;
+        }
+    });
+
+    // The button is inside a div with ID 'resultsButton' and is an <a> tag
+    const viewResultsClicked = await page.evaluate(() => {
+        // Primary: Use ID #resultsButton finding the anchor tag inside
+        const btnContainer = document.getElementById('resultsButton');
+        if (btnContainer) {
+            const btn = btnContainer.querySelector('a');
+            if (btn) {
+                btn.click();
+                return 'by-id-container';
+            }
+        }
+
+        // Fallback: Look for VIEW RESULTS text in any button/anchor/div
+        const buttons = document.querySelectorAll('button, a, div, span');
+        for (const el of buttons) {
+            const text = el.textContent.trim().toUpperCase();
+            if (text === 'VIEW RESULTS' || text === 'VIEW RESULT') {
+                // Make sure it's visible
+                if (el.offsetParent !== null) {
+                    el.click();
+                    return 'by-text';
+                }
+            }
+        }
+        return null;
+    });
+
+    if (viewResultsClicked === 'by-text') {
+        recordFallback(fallbacks, 'viewResults', 'VIEW RESULTS found by text, #resultsButton a not found');
+    }
+
+    if (viewResultsClicked) {
+        log.info(`✅ VIEW RESULTS clicked (${viewResultsClicked})`);
+    } else {
+        log.warn('⚠️ VIEW RESULTS button not found');
+    }
+}
+
+/**
+ * Repeat a request from inside the page (same cookies and origin) and return the response body
+ */
+async function refetchInPage(page, request) {
+    const base64 = await page.evaluate(async (url, method, body) => {
+        const response = await fetch(url, { method, body, credentials: 'include' });
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        let binary = '';
+        for (const byte of bytes) binary += String.fromCharCode(byte);
+        return btoa(binary);
+    }, request.url(), request.method(), request.postData() ?? null);
+
+    return Buffer.from(base64, 'base64');
+}
+
+/**
+ * Trigger the site's report export and capture the PDF
+ * The export either downloads a PDF (captured from the network) or opens the print dialog; headless Chrome
+ * has no dialog, so window.print is replaced and the results page is printed to PDF instead.
+ * Returns { pdf, source } where source is "download" or "print"
+ */
+async function captureReport(page, timeouts, fallbacks = []) {
+    log.info('📄 Requesting hazard report...');
+
+    await page.evaluate(() => {
+        window.__printRequested = false;
+        window.print = () => {
+            window.__printRequested = true;
+        };
+    });
+
+    let download = null;
+    const onResponse = (response) => {
+        // The PDF as served; saving it from a blob: URL afterwards has no body to read
+        if (!download && /^https?:/.test(response.url()) && /application\/pdf/i.test(response.headers()['content-type'] || '')) {
+            download = response;
+        }
+    };
+    page.on('response', onResponse);
+
+    try {
+        const clicked = await page.evaluate((selector) => {
+            const bySelector = document.querySelector(selector);
+            const button = bySelector
+                || Array.from(document.querySelectorAll('button, a')).find(el => /^(GET |PRINT |DOWNLOAD )?REPORT$/i.test(el.textContent.trim()));
+            if (!button) return null;
+            button.click();
+            return bySelector ? 'by-selector' : 'by-text';
+        }, SELECTORS.reportButton);
+
+        if (!clicked) {
+            throw new ExtractionError('REPORT_FAILED', 'Could not find the report button');
+        }
+        if (clicked === 'by-text') {
+            recordFallback(fallbacks, 'report', `Report button found by text, ${SELECTORS.reportButton} not found`);
+        }
+
+        // Whichever the export does first: download a PDF or ask to print
+        const deadline = Date.now() + timeouts.report;
+        while (!download && Date.now() < deadline) {
+            if (await page.evaluate(() => window.__printRequested)) break;
+            await delay(100);
+        }
+    } finally {
+        page.off('response', onResponse);
+    }
+
+    if (download) {
+        // DevTools keeps no body for responses the page reads as a blob, so fetch those again from the page
+        const body = await download.buffer().catch(() => null);
+        const pdf = body?.length ? body : await refetchInPage(page, download.request());
+        return { pdf, source: 'download' };
+    }
+
+    if (await page.evaluate(() => window.__printRequested)) {
+        await page.emulateMediaType('print');
+        const pdf = await page.pdf({ format: 'Letter', printBackground: true });
+        await page.emulateMediaType(null);
+        return { pdf, source: 'print' };
+    }
+
+    throw new ExtractionError('REPORT_FAILED', `No report PDF within ${timeouts.report}ms of clicking the report button`);
+}
+
+/**
+ * Key of a lookup's hazard report: "report_" and the lookup's cache key (its location, risk category, edition
+ * and extra hazards), so a fresh lookup of the same property replaces the report along with the cache entry
+ */
+function buildReportKey(lookup) {
+    return toRecordKey(['report', buildCacheKey(lookup)]);
+}
+
+/**
+ * Capture the hazard report and store it under key in the given key-value store
+ * A report that cannot be captured is recorded on the returned object and does not fail the lookup
+ * Returns { key, url, source, size, error }
+ */
+async function saveReport(page, { store, key }, timeouts, fallbacks = []) {
+    try {
+        const { pdf, source } = await captureReport(page, timeouts, fallbacks);
+        await store.setValue(key, pdf, { contentType: 'application/pdf' });
+
+        const url = store.getPublicUrl ? store.getPublicUrl(key) : null;
+        log.info(`📄 Hazard report saved: ${key} (${pdf.length} bytes, via ${source})`);
+        return { key, url, source, size: pdf.length, error: null };
+    } catch (error) {
+        const record = toErrorRecord(error.code === 'REPORT_FAILED' ? error : new ExtractionError('REPORT_FAILED', error.message));
+        log.warn(`⚠️ Hazard report not saved: ${record.message}`);
+        return { key: null, url: null, source: null, size: null, error: { ...record, step: 'report' } };
+    }
+}
+
+/**
+ * Read the wind speed for the current results
+ * Prefers the hazard data the page fetched; the results panel text is only a fallback
+ * Returns { found, windSpeed, unit, method } or { found: false, debug }
+ */
+async function readWindSpeed(page, responses = []) {
+    log.info('📈 Extracting wind speed value...');
+
+    // Primary strategy: structured hazard payload from the site's own API calls
+    // The panel's value is read as well, to cross-check the two
+    const found = findHazardWindSpeed(responses);
+    if (found) {
+        const extractionResult = { found: true, ...found, method: 'network', panelWindSpeed: await readPanelWindSpeed(page) };
+        log.debug(`📋 Extraction result: ${JSON.stringify(extractionResult)}`);
+        return extractionResult;
+    }
+
+    const hazardResponses = responses.filter(({ url }) => HAZARD_API_URL_PATTERN.test(url)).length;
+    log.info(`ℹ️ No wind speed in ${hazardResponses} hazard response(s), falling back to results panel text`);
+
+    // Scroll panel back to top to see results
+    await page.evaluate(() => {
+        const panel = document.getElementById('leftPanel');
+        if (panel) {
+            panel.scrollTop = 0;
+        }
+    });
+
+    // Try to extract wind speed from the page
+    const extractionResult = await page.evaluate(() => {
+        // DOM strategy: Use specific selector found in screenshot
+        const detailSpan = document.querySelector('.loads-container__main-details');
+        if (detailSpan) {
+            const text = detailSpan.innerText;
+            const match = text.match(/(\d{2,3})\s*(Vmph|mph|MPH)/i);
+            if (match) {
+                return { found: true, windSpeed: match[1], unit: match[2], method: 'selector' };
+            }
+        }
+
+        // Fallback: search body text
+        const body = document.body.innerText;
+        const match = body.match(/(\d{2,3})\s*(Vmph|mph|MPH)/i);
+        if (match) {
+            return { found: true, windSpeed: match[1], unit: match[2], method: 'regex' };
+        }
+
+        // Alternative: look for elements with "Wind" label nearby
+        const allText = body;
+        const windIndex = allText.indexOf('Wind Speed');
+        if (windIndex !== -1) {
+            const nearby = allText.substring(windIndex, windIndex + 100);
+            const numMatch = nearby.match(/(\d{2,3})/);
+            if (numMatch) {
+                return { found: true, windSpeed: numMatch[1], method: 'wind-speed-label' };
+            }
+        }
+
+        // Debug: return snippet of page content
+        return { found: false, debug: body.substring(0, 500) };
+    });
+
+    log.debug(`📋 Extraction result: ${JSON.stringify(extractionResult)}`);
+
+    return extractionResult;
+}
+
+/**
+ * Read the wind speed the results panel shows as its main value, or null
+ */
+async function readPanelWindSpeed(page) {
+    return page.evaluate(() => {
+        const text = document.querySelector('.loads-container__main-details')?.innerText || '';
+        return text.match(/(\d{2,3})\s*(Vmph|mph|MPH)/i)?.[1] || null;
+    });
+}
+
+/**
+ * Read the site location the results panel reports ("Latitude: 35.47..., Longitude: -79.18...")
+ */
+async function readResultCoordinates(page) {
+    const text = await page.evaluate(() => {
+        const panel = document.getElementById('leftPanel') || document.body;
+        return panel.innerText;
+    });
+
+    const latitude = text.match(/Latitude\s*[:=]?\s*(-?\d{1,2}\.\d+)/i);
+    const longitude = text.match(/Longitude\s*[:=]?\s*(-?\d{1,3}\.\d+)/i);
+
+    if (!latitude || !longitude) return null;
+
+    return { latitude: parseFloat(latitude[1]), longitude: parseFloat(longitude[1]) };
+}
+
+/**
+ * Read the results panel sections and run the parser for each requested hazard
+ * Sections are matched to hazards by their heading text; parsers also get the whole panel's text
+ * for values shown outside their section (the site elevation)
+ */
+async function readHazards(page, hazards) {
+    const { sections, panelText } = await page.evaluate(() => ({
+        sections: Array.from(document.querySelectorAll('.loads-container')).map(section => {
+            const text = section.innerText.trim();
+            return { title: text.split('\n')[0].trim(), text };
+        }),
+        panelText: (document.getElementById('leftPanel') || document.body).innerText
+    }));
+
+    const values = {};
+
+    for (const type of hazards) {
+        const { label, parse } = HAZARD_TYPES[type];
+        const section = sections.find(entry => entry.title.toLowerCase().includes(label.toLowerCase()));
+        values[type] = section ? parse(section.text, panelText) : null;
+
+        if (values[type]) {
+            log.debug(`✅ Parsed ${label} hazard: ${JSON.stringify(values[type])}`);
+        } else {
+            log.warn(`⚠️ ${label} hazard values not found in results panel`);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Mark the hazard sections currently in the results panel as stale, before VIEW RESULTS is clicked again
+ * In "all" mode the previous category's sections stay in the panel until the new ones replace them
+ * Returns the panel text, for waitForResults to tell a panel updated in place from an unchanged one
+ */
+async function markStaleResults(page) {
+    return page.evaluate(() => {
+        document.querySelectorAll('.loads-container').forEach((section) => {
+            section.dataset.staleResults = 'true';
+        });
+        return (document.getElementById('leftPanel') || document.body).innerText;
+    });
+}
+
+/**
+ * Wait for the results panel to finish loading
+ * Done when "Retrieving Data..." has cleared and either new hazard sections (not marked stale, or with changed
+ * text) or a no-data message are shown
+ */
+async function waitForResults(page, timeouts, previousText = null) {
+    const loaded = await waitForCondition(page, (previous) => {
+        const text = (document.getElementById('leftPanel') || document.body).innerText;
+        if (/Retrieving Data/i.test(text)) return false;
+
+        const sections = document.querySelectorAll('.loads-container');
+        const fresh = Array.from(sections).some(section => !section.dataset.staleResults) || (sections.length > 0 && text !== previous);
+        return fresh || /no data|no results/i.test(text);
+    }, timeouts.results, previousText);
+
+    if (!loaded) {
+        throw new ExtractionError('RESULTS_TIMEOUT', `Results panel did not finish loading within ${timeouts.results}ms`);
+    }
+}
+
+/**
+ * Empty result record for one lookup, filled in by extractWindSpeed
+ * Also used for lookups rejected before the browser is involved
+ */
+function createResult(address, { riskCategory = 'II', asceEdition = null, coordinates = null } = {}) {
+    return {
+        address,
+        parsedAddress: address ? parseAddress(address) : null,
+        requestedCoordinates: coordinates,
+        coordinates: null,
+        geocoderMatch: null,
+        windSpeed: null,
+        windSpeeds: {},
+        specialWindRegion: null,
+        extractionMethod: null,
+        extractionMethods: {},
+        confidence: null,
+        warnings: [],
+        fallbacks: [],
+        unit: 'mph',
+        riskCategory,
+        asceEdition,
+        hazards: {},
+        windPressure: null,
+        report: null,
+        webhook: null,
+        timings: {},
+        steps: [],
+        changes: null,
+        correlationId: null,
+        source: 'ASCE Hazard Tool',
+        timestamp: new Date().toISOString(),
+        success: false,
+        error: null
+    };
+}
+
+/**
+ * Main extraction function
+ *
+ * @param {Page} page - Puppeteer page to drive
+ * @param {string} address - Address to look up
+ * @param {object} options - { debugMode, keyValueStore, screenshotPrefix, riskCategory, hazards, asceEdition, coordinates,
+ *   minMatchScore, includeReport, reportStore, captureOnFailure, url, timeouts }
+ *   (url overrides CONFIG.url, e.g. to point at the test suite's mock Hazard Tool; timeouts overrides
+ *   individual CONFIG.timeouts entries; reportStore is where the report PDF goes, keyValueStore by default;
+ *   captureOnFailure saves src/artifacts.js artifacts for a failed lookup,
+ *   referenced from result.error.artifacts)
+ */
+async function extractWindSpeed(page, address, options) {
+    const {
+        riskCategory = 'II', hazards = ['wind'], asceEdition = null, coordinates = null, url = CONFIG.url,
+        minMatchScore = CONFIG.minMatchScore, includeReport = false, captureOnFailure = false, keyValueStore, screenshotPrefix = ''
+    } = options;
+    const timeouts = { ...CONFIG.timeouts, ...options.timeouts };
+    const startedAt = Date.now();
+
+    const result = createResult(address, { riskCategory, asceEdition, coordinates });
+
+    // Record the site's JSON responses: geocoder replies (coordinates) and hazard data (values)
+    const collector = createResponseCollector(page);
+
+    // Console and network traffic of the whole lookup, kept in case it fails
+    const recorder = captureOnFailure && keyValueStore ? createFailureRecorder(page) : null;
+
+    try {
+        const { timings, fallbacks } = result;
+
+        // Step 1: Navigate to ASCE Hazard Tool
+        await timeStep(result, 'navigate', async () => {
+            log.info('🌐 Navigating to ASCE Hazard Tool...');
+            await page.goto(url, {
+                waitUntil: 'networkidle2',
+                timeout: timeouts.navigation
+            });
+        });
+        await saveScreenshot(page, 'step_01_page_loaded', options);
+
+        // Step 2: Dismiss any modals
+        await timeStep(result, 'dismissModals', () => dismissModals(page, timeouts, fallbacks));
+        await saveScreenshot(page, 'step_02_modal_dismissed', options);
+
+        // Step 3: Enter the normalized address (or "lat, lng" when coordinates are supplied) in geocoder input
+        // The site has no other way in for a location; where the geocoder put a coordinate pair is checked once
+        // the results are in
+        const searchText = coordinates
+            ? `${coordinates.latitude}, ${coordinates.longitude}`
+            : result.parsedAddress.normalized || address;
+
+        await timeStep(result, 'enterAddress', async () => {
+            log.info('🔍 Looking for address input...');
+
+            if (await typeAddress(page, searchText, timeouts)) {
+                log.info(`✅ ${coordinates ? 'Coordinates' : 'Address'} entered`);
+            } else {
+                log.warn('⚠️ Address input does not show the typed text');
+            }
+        });
+        await saveScreenshot(page, 'step_03_address_entered', options);
+
+        // Step 4: Pick the geocoder candidate that best matches the address and wait for the site to place it
+        // Coordinates are placed as given, so there is nothing to match
+        await timeStep(result, 'search', async () => {
+            let searchMark = collector.mark();
+
+            // Prefer the type-ahead suggestions: clicking one places exactly that candidate
+            if (!coordinates) {
+                const suggestions = await readSuggestions(page, timeouts);
+                if (suggestions.length > 0) {
+                    const match = matchCandidate(searchText, suggestions, minMatchScore);
+                    await clickSuggestion(page, match.index);
+                    result.geocoderMatch = { label: match.label, score: match.score, source: 'suggestions' };
+                } else {
+                    recordFallback(fallbacks, 'search', `No address suggestions (${SELECTORS.addressSuggestions}) within ${timeouts.suggestions}ms, searched directly`);
+                }
+            }
+
+            if (!result.geocoderMatch) {
+                await clickSearch(page, fallbacks);
+            }
+
+            // Wait for the geocoder reply
+            let geocoderResponse = await collector.waitFor(isGeocoderReply, searchMark, timeouts.geocoder);
+            if (geocoderResponse && !hasGeocoderCandidates(geocoderResponse.payload)) {
+                throw new ExtractionError('ADDRESS_NOT_FOUND', `Address not found by the geocoder: "${searchText}"`);
+            } else if (geocoderResponse) {
+                log.info('✅ Geocoder responded');
+            } else {
+                log.warn(`⚠️ No geocoder response within ${timeouts.geocoder}ms`);
+            }
+
+            // Without suggestions, score the geocoder's own candidates; the site places the first one,
+            // so a better match further down the list is searched for by its full label
+            const labels = geocoderResponse ? getGeocoderCandidates(geocoderResponse.payload) : [];
+            if (!coordinates && !result.geocoderMatch && labels.length > 0) {
+                const match = matchCandidate(searchText, labels, minMatchScore);
+                result.geocoderMatch = { label: match.label, score: match.score, source: 'geocoder-response' };
+
+                if (match.index > 0) {
+                    log.info(`🔁 Site picked "${labels[0]}", searching again for "${match.label}"`);
+                    await typeAddress(page, match.label, timeouts);
+                    searchMark = collector.mark();
+                    await clickSearch(page, fallbacks);
+                    geocoderResponse = await collector.waitFor(isGeocoderReply, searchMark, timeouts.geocoder);
+                    if (!geocoderResponse) {
+                        log.warn(`⚠️ No geocoder response within ${timeouts.geocoder}ms`);
+                    }
+                }
+            }
+
+            // The risk dropdown is usable once the site has a location
+            const dropdownReady = await waitForCondition(page, (selector) => {
+                const select = document.querySelector(selector);
+                return select && !select.disabled && select.options.length > 1;
+            }, timeouts.dropdown, SELECTORS.riskCategoryDropdown);
+
+            if (!dropdownReady) {
+                log.warn(`⚠️ Risk category dropdown not enabled within ${timeouts.dropdown}ms`);
+            }
+        });
+        await saveScreenshot(page, 'step_04_search_clicked', options);
+
+        // Step 4b: Select the ASCE 7 edition (or record the site default) - drives which maps the results come from
+        result.asceEdition = await timeStep(result, 'selectEdition', () => selectAsceEdition(page, asceEdition));
+        await saveScreenshot(page, 'step_04b_edition_selected', options);
+
+        // Steps 5-8 run once per requested risk category ("all" re-reads the results for each one)
+        const categories = riskCategory === 'all' ? RISK_CATEGORIES : [riskCategory];
+        const panelWindSpeeds = {};
+
+        for (const [index, category] of categories.entries()) {
+            const suffix = riskCategory === 'all' ? `_${category}` : '';
+
+            // Step 5: Select Risk Category
+            await timeStep(result, `selectRiskCategory${suffix}`, () => selectRiskCategory(page, category));
+            await saveScreenshot(page, `step_05_risk_selected${suffix}`, options);
+
+            // Step 6: Select hazard types (checkboxes) - only once, the checkboxes stay ticked
+            if (index === 0) {
+                await timeStep(result, 'selectHazards', async () => {
+                    for (const type of hazards) {
+                        await selectHazard(page, type, fallbacks);
+                    }
+                });
+                await saveScreenshot(page, 'step_06_wind_selected', options);
+            }
+
+            // Step 7: Click VIEW RESULTS button and wait for the panel to load
+            // The previous category's results are marked first so they aren't read as this category's
+            const resultsMark = collector.mark();
+            await timeStep(result, `viewResults${suffix}`, async () => {
+                const previousText = await markStaleResults(page);
+                await clickViewResults(page, timeouts, fallbacks);
+                await waitForResults(page, timeouts, previousText);
+            });
+            await saveScreenshot(page, `step_07_results_page${suffix}`, options);
+
+            // Step 8: Extract wind speed value
+            await timeStep(result, `extract${suffix}`, async () => {
+                // Give the hazard JSON a moment to be captured if it hasn't been already
+                await collector.waitFor(({ url }) => HAZARD_API_URL_PATTERN.test(url), resultsMark, timeouts.network);
+
+                const extractionResult = await readWindSpeed(page, collector.since(resultsMark));
+
+                if (extractionResult.found && extractionResult.method !== 'network') {
+                    recordFallback(fallbacks, `extract${suffix}`, `Wind speed read from the results panel (${extractionResult.method}), no hazard data response`);
+                }
+
+                if (extractionResult.found) {
+                    result.windSpeeds[category] = extractionResult.windSpeed;
+                    result.extractionMethods[category] = extractionResult.method;
+                    panelWindSpeeds[category] = extractionResult.panelWindSpeed;
+                    log.info(`✅ Extracted wind speed for Risk Category ${category}: ${extractionResult.windSpeed} mph (via ${extractionResult.method})`, {
+                        category, windSpeed: extractionResult.windSpeed, method: extractionResult.method
+                    });
+                } else {
+                    log.warn(`⚠️ Wind speed not found. Page content preview: ${extractionResult.debug?.substring(0, 200)}`);
+                }
+
+                // Other hazards are read on the first pass only; each entry records the category it was read under
+                if (index === 0) {
+                    const values = await readHazards(page, hazards);
+                    for (const [type, value] of Object.entries(values)) {
+                        result.hazards[type] = value && { ...value, riskCategory: category };
+                    }
+
+                    // The design wind speed alone is not valid inside a special wind region
+                    result.specialWindRegion = result.hazards.wind?.specialWindRegion ?? null;
+                    if (result.specialWindRegion) {
+                        log.warn('⚠️ Site is in a special wind region - check local requirements before using the mapped wind speed');
+                    }
+                }
+            });
+            await saveScreenshot(page, `step_08_extraction${suffix}`, options);
+        }
+
+        // Step 9: Hazard report PDF (optional) - taken once, after the last results were loaded
+        if (includeReport) {
+            const reportKey = buildReportKey({ address, coordinates, riskCategory, asceEdition, hazards });
+            const reportStore = options.reportStore || keyValueStore;
+            result.report = await timeStep(result, 'report', () => saveReport(page, { store: reportStore, key: reportKey }, timeouts, fallbacks));
+        }
+
+        // Coordinates the tool actually used: results panel first, then the geocoder response
+        const panelCoordinates = await readResultCoordinates(page);
+        const geocoderCoordinates = collector.responses
+            .filter(isGeocoderReply)
+            .map(({ payload }) => parseGeocoderCoordinates(payload))
+            .filter(Boolean)
+            .pop();
+        if (panelCoordinates) {
+            result.coordinates = { ...panelCoordinates, source: 'results-panel' };
+        } else if (geocoderCoordinates) {
+            result.coordinates = { ...geocoderCoordinates, source: 'geocoder-response' };
+        }
+        log.info(`📌 Coordinates used: ${JSON.stringify(result.coordinates)}`, { coordinates: result.coordinates });
+
+        // One method per record: the category's method, or "mixed" when "all" mode used different ones
+        const methods = [...new Set(Object.values(result.extractionMethods))];
+        result.extractionMethod = methods.length > 1 ? 'mixed' : (methods[0] || null);
+
+        const missing = categories.filter(category => !result.windSpeeds[category]);
+        const missingHazards = hazards.filter(type => type !== 'wind' && !result.hazards[type]);
+
+        const noResults = (message) => toErrorRecord(new ExtractionError('NO_RESULTS', message, { step: 'extract' }));
+
+        // Values for a site other than the supplied coordinates are for another property
+        const coordinatesProblem = coordinates ? checkCoordinates(coordinates, result.coordinates) : null;
+
+        if (coordinatesProblem) {
+            result.error = toErrorRecord(new ExtractionError('COORDINATES_MISMATCH', coordinatesProblem, { step: 'search' }));
+        } else if (missing.length > 0 && riskCategory === 'all') {
+            result.error = noResults(`Could not extract wind speed value from results page for Risk Category ${missing.join(', ')}`);
+        } else if (missing.length > 0) {
+            result.error = noResults('Could not extract wind speed value from results page');
+        } else {
+            result.windSpeed = riskCategory === 'all' ? null : result.windSpeeds[riskCategory];
+            result.success = true;
+        }
+
+        // Step 10: Plausibility of the values read, as confidence and warnings on the record
+        if (result.success) {
+            Object.assign(result, checkPlausibility(result, { panelWindSpeeds }));
+
+            // Extra hazards the site has no data for here (no flood map, no tornado speeds before 7-22) don't fail
+            // the wind result; retrying would not bring them back
+            for (const type of missingHazards) {
+                result.hazards[type] = null;
+                result.warnings.push({ check: 'hazard', category: null, message: `No ${HAZARD_TYPES[type].label} values in the results panel for this site` });
+            }
+        }
+
+    } catch (error) {
+        result.error = toErrorRecord(error);
+        log.error(`❌ Error during extraction [${result.error.code} at ${result.error.step}]: ${error.message}`, { error: result.error });
+        await saveScreenshot(page, 'error_state', options);
+    } finally {
+        collector.dispose();
+        recorder?.dispose();
+        result.timings.total = Date.now() - startedAt;
+    }
+
+    // Independent of debugMode: the page, its console and its traffic as the failure left them
+    if (recorder && result.error) {
+        const key = buildArtifactKey({ address, coordinates }, screenshotPrefix);
+        result.error.artifacts = await saveFailureArtifacts(page, recorder, { keyValueStore, key });
+    }
+
+    return result;
+}
+
+module.exports = {
+    delay,
+    saveScreenshot,
+    dismissModals,
+    createResult,
+    extractWindSpeed
+};
@@ -0,0 +1,21 @@
+/**
+ * Geographic helpers shared by the checks that compare coordinates
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Distance between two points in metres (haversine)
+ */
+function distanceMeters(a, b) {
+    const toRadians = degrees => (degrees * Math.PI) / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+    distanceMeters
+};
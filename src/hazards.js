@@ -0,0 +1,143 @@
+/**
+ * ASCE hazard types and the parsers that turn a results panel section into structured values
+ */
+
+/**
+ * Parse a number out of the first capture group of a regex match, or null
+ */
+function matchNumber(text, regex) {
+    const match = text.match(regex);
+    return match ? parseFloat(match[1]) : null;
+}
+
+// Serviceability wind speeds for other mean recurrence intervals: "10-year MRI 76 Vmph" or "MRI = 10-Year ... 76 Vmph"
+const MRI_LABEL_PATTERN = /(?:(\d+)[-\s]*(?:year|yr)\s*MRI|MRI\s*[:=]?\s*(\d+)[-\s]*(?:year|yr))/i;
+const SPEED_PATTERN = /(\d{2,3})\s*(?:Vmph|mph)/i;
+
+/**
+ * Per-hazard parsers for the text of a results panel section
+ * Each returns a structured object, or null when the section doesn't contain the expected values.
+ * `panelText` is the text of the whole results panel, for values shown outside the section (site elevation).
+ */
+function parseWindHazard(text, panelText = text) {
+    const mri = {};
+    const notes = [];
+    let windSpeed = null;
+    let dataSource = null;
+    let pendingMri = null;
+
+    for (const line of text.split('\n').map(entry => entry.trim()).filter(Boolean)) {
+        const mriLabel = line.match(MRI_LABEL_PATTERN);
+        const speed = matchNumber(line, SPEED_PATTERN);
+        const source = line.match(/^Data\s*Source\s*[:=]?\s*(.+)/i);
+
+        if (mriLabel) {
+            // The value may sit on the label's line or the next one
+            pendingMri = mriLabel[1] || mriLabel[2];
+            if (speed === null) continue;
+        }
+
+        if (pendingMri && speed !== null) {
+            mri[pendingMri] = speed;
+            pendingMri = null;
+        } else if (source) {
+            dataSource = source[1].trim();
+        } else if (windSpeed === null && speed !== null) {
+            windSpeed = speed;
+        } else if (/special\s+wind\s+region|^notes?\b/i.test(line)) {
+            notes.push(line);
+        }
+    }
+
+    if (windSpeed === null) return null;
+
+    // "Not in a special wind region" must not raise the flag
+    const specialWindRegion = notes.some(note => /special\s+wind\s+region/i.test(note)
+        && !/\b(?:not|outside)\b[^.]*special\s+wind\s+region/i.test(note));
+
+    return {
+        windSpeed,
+        unit: 'mph',
+        mri,
+        dataSource,
+        elevation: matchNumber(panelText.replace(/(\d),(\d{3})/g, '$1$2'), /Elevation\s*[:=]?\s*(-?\d+(?:\.\d+)?)\s*(?:ft|feet)\b/i),
+        elevationUnit: 'ft',
+        specialWindRegion,
+        notes
+    };
+}
+
+function parseSnowHazard(text) {
+    const groundSnowLoad = matchNumber(text, /(\d+(?:\.\d+)?)\s*(?:lb\/ft(?:²|2|\^2)|psf)/i);
+    return groundSnowLoad === null ? null : { groundSnowLoad, unit: 'psf' };
+}
+
+function parseIceHazard(text) {
+    const iceThickness = matchNumber(text, /(\d+(?:\.\d+)?)\s*(?:in\.?|inch(?:es)?)(?![a-z])/i);
+    if (iceThickness === null) return null;
+
+    return {
+        iceThickness,
+        thicknessUnit: 'in',
+        concurrentGustSpeed: matchNumber(text, /(\d{2,3})\s*(?:Vmph|mph)/i),
+        gustSpeedUnit: 'mph',
+        concurrentTemperature: matchNumber(text, /(-?\d+(?:\.\d+)?)\s*°?\s*F\b/)
+    };
+}
+
+function parseSeismicHazard(text) {
+    const value = (name) => matchNumber(text, new RegExp(`\\b${name}\\s*[:=]?\\s*(\\d*\\.?\\d+)`, 'i'));
+    const siteClass = text.match(/Site\s*Class\s*[:=]?\s*([A-F])\b/i);
+
+    const values = {
+        ss: value('S_?S'),
+        s1: value('S_?1'),
+        sms: value('S_?MS'),
+        sm1: value('S_?M1'),
+        sds: value('S_?DS'),
+        sd1: value('S_?D1'),
+        siteClass: siteClass ? siteClass[1].toUpperCase() : null,
+        unit: 'g'
+    };
+
+    return values.ss === null && values.s1 === null && values.sds === null && values.sd1 === null ? null : values;
+}
+
+function parseRainHazard(text) {
+    const intensity15 = matchNumber(text, /15[-\s]?min(?:ute)?[^\d]*(\d+(?:\.\d+)?)\s*in\/h/i);
+    const intensity60 = matchNumber(text, /60[-\s]?min(?:ute)?[^\d]*(\d+(?:\.\d+)?)\s*in\/h/i);
+    if (intensity15 === null && intensity60 === null) return null;
+
+    return { intensity15Minute: intensity15, intensity60Minute: intensity60, unit: 'in/h' };
+}
+
+function parseFloodHazard(text) {
+    const zone = text.match(/Flood\s*Zone\s*[:=]?\s*([A-Z0-9]+)/i);
+    if (!zone) return null;
+
+    return {
+        floodZone: zone[1].toUpperCase(),
+        baseFloodElevation: matchNumber(text, /Base\s*Flood\s*Elevation\s*[:=]?\s*(-?\d+(?:\.\d+)?)/i),
+        elevationUnit: 'ft'
+    };
+}
+
+function parseTornadoHazard(text) {
+    const tornadoSpeed = matchNumber(text, /(\d{2,3})\s*(?:Vmph|mph)/i);
+    return tornadoSpeed === null ? null : { tornadoSpeed, unit: 'mph' };
+}
+
+// Hazard types offered by the Hazard Tool: checkbox label text and results parser
+const HAZARD_TYPES = {
+    wind: { label: 'Wind', parse: parseWindHazard },
+    seismic: { label: 'Seismic', parse: parseSeismicHazard },
+    ice: { label: 'Ice', parse: parseIceHazard },
+    snow: { label: 'Snow', parse: parseSnowHazard },
+    rain: { label: 'Rain', parse: parseRainHazard },
+    flood: { label: 'Flood', parse: parseFloodHazard },
+    tornado: { label: 'Tornado', parse: parseTornadoHazard }
+};
+
+module.exports = {
+    HAZARD_TYPES
+};
@@ -0,0 +1,104 @@
+/**
+ * Change detection against earlier lookups of the same property
+ *
+ * Unlike the cache, which expires, the history keeps the last successful result of every lookup (same key:
+ * normalized address or rounded coordinates, risk category, edition setting and extra hazards) for good.
+ * Each new result is compared with it, so a design wind speed that moved since the last inspection, through a
+ * new edition, new map data or a different geocoder match, is reported in the record's `changes`.
+ */
+
+const { CONFIG } = require('./config');
+const { buildCacheKey } = require('./cache');
+const { distanceMeters } = require('./geo');
+const { log } = require('./logger');
+
+/**
+ * The part of a result the history keeps
+ */
+function toSnapshot(result) {
+    const { windSpeed, windSpeeds, asceEdition, coordinates, timestamp } = result;
+    return {
+        windSpeed,
+        windSpeeds,
+        asceEdition,
+        coordinates: coordinates && { latitude: coordinates.latitude, longitude: coordinates.longitude },
+        timestamp
+    };
+}
+
+/**
+ * Compare a successful result with the previous one for the same lookup
+ *
+ * @param {object} previous - Snapshot stored by the history
+ * @param {object} result - New successful result
+ * @param {object} options - { coordinateTolerance } metres the coordinates may move unnoticed
+ * @returns {object} { changed, previousTimestamp, fields } where fields are { field, previous, current }
+ *   for "windSpeed" (per risk category), "asceEdition" and "coordinates" (with distanceMeters)
+ */
+function detectChanges(previous, result, { coordinateTolerance = CONFIG.history.coordinateTolerance } = {}) {
+    const fields = [];
+
+    const categories = new Set([...Object.keys(previous.windSpeeds || {}), ...Object.keys(result.windSpeeds || {})]);
+    for (const category of categories) {
+        const before = previous.windSpeeds?.[category] ?? null;
+        const after = result.windSpeeds?.[category] ?? null;
+        if (before !== after) fields.push({ field: 'windSpeed', category, previous: before, current: after });
+    }
+
+    if ((previous.asceEdition || null) !== (result.asceEdition || null)) {
+        fields.push({ field: 'asceEdition', previous: previous.asceEdition || null, current: result.asceEdition || null });
+    }
+
+    const [before, after] = [previous.coordinates, result.coordinates];
+    if (before && after) {
+        const distance = Math.round(distanceMeters(before, after));
+        if (distance > coordinateTolerance) {
+            fields.push({ field: 'coordinates', previous: before, current: toSnapshot(result).coordinates, distanceMeters: distance });
+        }
+    }
+
+    return { changed: fields.length > 0, previousTimestamp: previous.timestamp, fields };
+}
+
+/**
+ * Wrap a key-value store as the lookup history
+ *
+ * @param {object} store - Key-value store with getValue/setValue (Apify or createDirectoryStore)
+ * @param {object} options - { coordinateTolerance }
+ * @returns {{ compare(lookup, result): Promise<object|null> }} compare() returns the changes since the previous
+ *   result (null for a failed lookup or one never seen before) and keeps the new result for next time
+ */
+function createHistory(store, { coordinateTolerance = CONFIG.history.coordinateTolerance } = {}) {
+    return {
+        async compare(lookup, result) {
+            if (!result.success) return null;
+
+            const key = buildCacheKey(lookup);
+            const previous = await store.getValue(key);
+            const changes = previous ? detectChanges(previous, result, { coordinateTolerance }) : null;
+
+            if (changes?.changed) {
+                const summary = changes.fields.map(change => (change.field === 'coordinates'
+                    ? `coordinates moved ${change.distanceMeters} m`
+                    : `${change.field}${change.category ? ` ${change.category}` : ''} ${change.previous} -> ${change.current}`));
+                log.warn(`🔀 Changed since ${changes.previousTimestamp}: ${summary.join(', ')}`, { historyKey: key, changes });
+            }
+
+            // A cached record is older than the history's, unless the history has none yet
+            if (!previous || !result.fromCache) {
+                try {
+                    await store.setValue(key, toSnapshot(result));
+                } catch (error) {
+                    log.warn(`Failed to save lookup history ${key}: ${error.message}`);
+                }
+            }
+
+            return changes;
+        }
+    };
+}
+
+module.exports = {
+    detectChanges,
+    createHistory
+};
@@ -0,0 +1,319 @@
+/**
+ * Actor input parsing and validation
+ */
+
+const { CONFIG, MODES, WEBHOOK_EVENTS, RISK_CATEGORIES, ASCE_EDITIONS } = require('./config');
+const { ExtractionError } = require('./errors');
+const { HAZARD_TYPES } = require('./hazards');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+const { EXPOSURE_CATEGORIES } = require('./pressure');
+const { FORMATS } = require('./spreadsheet');
+
+/**
+ * Build the error thrown for input that cannot be processed
+ */
+function invalidInput(message) {
+    return new ExtractionError('INVALID_INPUT', message, { step: 'input' });
+}
+
+/**
+ * Collect the addresses to process from the actor input
+ * Accepts a single `address`, an `addresses` array, or both (single address first)
+ * Line breaks and runs of spaces are collapsed; the addresses themselves are checked per lookup (src/address.js)
+ */
+function getAddresses(input) {
+    const { address, addresses = [] } = input;
+
+    if (!Array.isArray(addresses)) {
+        throw invalidInput('addresses must be an array of strings');
+    }
+
+    const all = [address, ...addresses]
+        .filter(entry => typeof entry === 'string')
+        .map(entry => entry.replace(/\s+/g, ' ').trim())
+        .filter(entry => entry.length > 0);
+
+    return all;
+}
+
+/**
+ * Read optional latitude/longitude from the actor input
+ * Both must be supplied together and within valid ranges
+ */
+function getCoordinates(input) {
+    const { latitude, longitude } = input;
+
+    if (latitude === undefined && longitude === undefined) return null;
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        throw invalidInput('latitude and longitude must both be provided as numbers');
+    }
+
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        throw invalidInput(`Coordinates out of range: ${latitude}, ${longitude}`);
+    }
+
+    return { latitude, longitude };
+}
+
+/**
+ * Collect the hazard types to select from the actor input
+ * Wind is always included since it drives the primary windSpeed output
+ */
+function getHazards(input) {
+    const { hazards = [] } = input;
+
+    if (!Array.isArray(hazards)) {
+        throw invalidInput('hazards must be an array of hazard types');
+    }
+
+    const unknown = hazards.filter(type => !HAZARD_TYPES[type]);
+    if (unknown.length > 0) {
+        throw invalidInput(`Unknown hazard type(s): ${unknown.join(', ')} (expected ${Object.keys(HAZARD_TYPES).join(', ')})`);
+    }
+
+    return ['wind', ...new Set(hazards.filter(type => type !== 'wind'))];
+}
+
+/**
+ * Read the optional velocity pressure settings from the actor input
+ * The calculation runs when an exposure category is given; the factors default to Kzt 1, Kd 0.85 (buildings) and Ke 1
+ */
+function getPressureOptions(input) {
+    const { exposureCategory, meanRoofHeight, kzt = 1, kd = 0.85, ke = 1 } = input;
+
+    if (exposureCategory === undefined || exposureCategory === null || exposureCategory === '') {
+        if (meanRoofHeight !== undefined) {
+            throw invalidInput('meanRoofHeight given without exposureCategory (both are needed for the wind pressure calculation)');
+        }
+        return null;
+    }
+
+    if (!EXPOSURE_CATEGORIES.includes(exposureCategory)) {
+        throw invalidInput(`Invalid exposureCategory "${exposureCategory}" (expected one of ${EXPOSURE_CATEGORIES.join(', ')})`);
+    }
+
+    if (!Number.isFinite(meanRoofHeight) || meanRoofHeight <= 0) {
+        throw invalidInput(`Invalid meanRoofHeight "${meanRoofHeight}" (expected a height in feet, required with exposureCategory)`);
+    }
+
+    for (const [name, value] of Object.entries({ kzt, kd, ke })) {
+        if (!Number.isFinite(value) || value <= 0) {
+            throw invalidInput(`Invalid ${name} "${value}" (expected a positive number)`);
+        }
+    }
+
+    return { exposure: exposureCategory, meanRoofHeight, kzt, kd, ke };
+}
+
+/**
+ * Read the optional spreadsheet settings from the actor input
+ * The file's rows replace `address`/`addresses`; they are read once the run has its key-value store
+ */
+function getSpreadsheet(input) {
+    const { inputFile, columnMapping = null, outputFormat = null } = input;
+
+    if (inputFile === undefined || inputFile === null || inputFile === '') return null;
+
+    if (typeof inputFile !== 'string') {
+        throw invalidInput('inputFile must be a URL or a key-value store record key');
+    }
+
+    if (columnMapping !== null && (typeof columnMapping !== 'object' || Array.isArray(columnMapping))) {
+        throw invalidInput('columnMapping must be an object such as { "address": "Property Address" }');
+    }
+
+    if (outputFormat && !FORMATS.includes(outputFormat)) {
+        throw invalidInput(`Invalid outputFormat "${outputFormat}" (expected one of ${FORMATS.join(', ')})`);
+    }
+
+    return { source: inputFile.trim(), columnMapping, outputFormat };
+}
+
+/**
+ * Read the optional webhook settings from the actor input
+ */
+function getWebhook(input) {
+    const { webhookUrl, webhookSecret = null, webhookEvent = 'record' } = input;
+
+    if (webhookUrl === undefined || webhookUrl === null || webhookUrl === '') return null;
+
+    let url;
+    try {
+        url = new URL(webhookUrl);
+    } catch {
+        url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw invalidInput(`Invalid webhookUrl "${webhookUrl}" (expected an http(s) URL)`);
+    }
+
+    if (!WEBHOOK_EVENTS.includes(webhookEvent)) {
+        throw invalidInput(`Invalid webhookEvent "${webhookEvent}" (expected one of ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+
+    if (webhookSecret !== null && typeof webhookSecret !== 'string') {
+        throw invalidInput('webhookSecret must be a string');
+    }
+
+    return { url: url.href, secret: webhookSecret || null, event: webhookEvent };
+}
+
+/**
+ * Read the optional name of the dataset that gets a copy of every changed record
+ * Apify storage names: letters, digits and inner hyphens, up to 63 characters
+ */
+function getChangesDataset(input) {
+    const { changesDataset = null } = input;
+
+    if (changesDataset === null || changesDataset === '') return null;
+
+    if (typeof changesDataset !== 'string' || !/^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i.test(changesDataset)) {
+        throw invalidInput(`Invalid changesDataset "${changesDataset}" (expected a dataset name of letters, digits and hyphens)`);
+    }
+
+    return changesDataset;
+}
+
+/**
+ * Validate the actor input and turn it into lookup settings
+ * Throws on invalid input so nothing is launched for a run that cannot succeed
+ */
+function parseInput(input) {
+    const {
+        debugScreenshots = true, riskCategory = 'II', asceEdition = null, maxRetries = CONFIG.retries,
+        minMatchScore = CONFIG.minMatchScore, cacheTtlDays = CONFIG.cache.ttlDays, forceRefresh = false,
+        includeReport = false, captureOnFailure = true
+    } = input;
+    const hazards = getHazards(input);
+    const coordinates = getCoordinates(input);
+    const addresses = getAddresses(input);
+    const pressure = getPressureOptions(input);
+    const spreadsheet = getSpreadsheet(input);
+    const webhook = getWebhook(input);
+    const changesDataset = getChangesDataset(input);
+
+    if (spreadsheet && (addresses.length > 0 || coordinates)) {
+        throw invalidInput('inputFile cannot be combined with address, addresses or latitude/longitude');
+    }
+
+    if (addresses.length === 0 && !coordinates && !spreadsheet) {
+        throw invalidInput('Address is required (provide "address", "addresses", "inputFile" or "latitude"/"longitude")');
+    }
+
+    if (coordinates && addresses.length > 1) {
+        throw invalidInput('latitude/longitude can only be combined with a single address');
+    }
+
+    // Coordinates without an address still make one lookup
+    if (addresses.length === 0 && !spreadsheet) {
+        addresses.push(null);
+    }
+
+    if (riskCategory !== 'all' && !RISK_CATEGORIES.includes(riskCategory)) {
+        throw invalidInput(`Invalid riskCategory "${riskCategory}" (expected one of ${RISK_CATEGORIES.join(', ')} or "all")`);
+    }
+
+    if (asceEdition && !ASCE_EDITIONS.includes(asceEdition)) {
+        throw invalidInput(`Invalid asceEdition "${asceEdition}" (expected one of ${ASCE_EDITIONS.join(', ')})`);
+    }
+
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+        throw invalidInput(`Invalid maxRetries "${maxRetries}" (expected a non-negative integer)`);
+    }
+
+    if (!Number.isInteger(minMatchScore) || minMatchScore < 0 || minMatchScore > 100) {
+        throw invalidInput(`Invalid minMatchScore "${minMatchScore}" (expected an integer from 0 to 100)`);
+    }
+
+    if (!Number.isInteger(cacheTtlDays) || cacheTtlDays < 0) {
+        throw invalidInput(`Invalid cacheTtlDays "${cacheTtlDays}" (expected a non-negative integer; 0 disables the cache)`);
+    }
+
+    return {
+        addresses, coordinates, riskCategory, asceEdition, hazards, debugScreenshots,
+        retries: maxRetries, minMatchScore, cacheTtlDays, forceRefresh: Boolean(forceRefresh),
+        includeReport: Boolean(includeReport), captureOnFailure: Boolean(captureOnFailure), pressure, spreadsheet, webhook,
+        changesDataset
+    };
+}
+
+/**
+ * Read the run mode; an actor started in standby is always a server
+ */
+function getMode(input, { standby = false } = {}) {
+    const { mode = 'batch' } = input;
+
+    if (!MODES.includes(mode)) {
+        throw invalidInput(`Invalid mode "${mode}" (expected one of ${MODES.join(', ')})`);
+    }
+
+    return standby ? 'server' : mode;
+}
+
+/**
+ * Read the logging settings, for every mode; LOG_LEVEL and LOG_FORMAT in the environment are the defaults
+ */
+function getLogOptions(input, env = process.env) {
+    const { logLevel = env.LOG_LEVEL || 'info', logFormat = env.LOG_FORMAT || 'text' } = input;
+
+    if (!LOG_LEVELS.includes(logLevel)) {
+        throw invalidInput(`Invalid logLevel "${logLevel}" (expected one of ${LOG_LEVELS.join(', ')})`);
+    }
+
+    if (!LOG_FORMATS.includes(logFormat)) {
+        throw invalidInput(`Invalid logFormat "${logFormat}" (expected one of ${LOG_FORMATS.join(', ')})`);
+    }
+
+    return { level: logLevel, format: logFormat };
+}
+
+/**
+ * Validate the server mode settings of the actor input
+ * The lookup fields of the input (riskCategory, cacheTtlDays, ...) become defaults for every request;
+ * the addresses come from the requests, so any in the input are dropped, and the changes dataset is the server's
+ */
+function parseServerInput(input) {
+    const {
+        poolSize = CONFIG.server.poolSize, maxQueue = CONFIG.server.maxQueue,
+        mode, address, addresses, latitude, longitude, inputFile, columnMapping, outputFormat, logLevel, logFormat,
+        changesDataset, ...defaults
+    } = input;
+
+    if (!Number.isInteger(poolSize) || poolSize < 1) {
+        throw invalidInput(`Invalid poolSize "${poolSize}" (expected a positive integer)`);
+    }
+
+    if (!Number.isInteger(maxQueue) || maxQueue < 0) {
+        throw invalidInput(`Invalid maxQueue "${maxQueue}" (expected a non-negative integer)`);
+    }
+
+    // Check the defaults once up front, so a bad setting fails the run instead of every request
+    const { webhook } = parseInput({ ...defaults, address: 'defaults check' });
+
+    // A server has no end of run to send a batch summary at
+    if (webhook?.event === 'batch') {
+        throw invalidInput('webhookEvent "batch" is not supported in server mode (use "record")');
+    }
+
+    return { poolSize, maxQueue, defaults, changesDataset: getChangesDataset(input) };
+}
+
+/**
+ * Validate the diagnose mode settings of the actor input
+ * One lookup is run, for the input address or, without one, an address known to resolve (CONFIG.diagnose)
+ */
+function parseDiagnoseInput(input) {
+    const { address = CONFIG.diagnose.address, riskCategory, asceEdition } = input;
+    const settings = parseInput({ address, riskCategory, asceEdition });
+
+    return { address: settings.addresses[0], riskCategory: settings.riskCategory, asceEdition: settings.asceEdition };
+}
+
+module.exports = {
+    getMode,
+    getLogOptions,
+    parseInput,
+    parseServerInput,
+    parseDiagnoseInput
+};
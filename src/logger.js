@@ -0,0 +1,68 @@
+/**
+ * Leveled logging as readable text or as JSON lines for a log aggregator
+ *
+ * Text output is the emoji-decorated lines the actor has always printed, after the level ("INFO  📍 ..."); a line
+ * starting with ASCII also keeps Node 20's test runner from misreading it (it takes a stdout line that starts
+ * with a multi-byte character right after one of its own messages for another message and fails the test file).
+ * JSON output is one object per line,
+ * { time, level, msg, ...context, ...fields }, where fields are the structured values a call passes and context
+ * is set with withLogContext() around a lookup (its correlation id), so helpers deep in the flow are tagged
+ * without being handed a logger.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['text', 'json'];
+
+const settings = { level: 'info', format: 'text' };
+const contextStore = new AsyncLocalStorage();
+
+// Leading emoji and symbols of a text message, left out of JSON messages
+const DECORATION = /^[^\p{L}\p{N}"'([]+/u;
+
+/**
+ * Set the level and format for the rest of the process
+ */
+function configureLogger({ level = settings.level, format = settings.format } = {}) {
+    settings.level = level;
+    settings.format = format;
+}
+
+/**
+ * Run an action with fields added to every line it logs (nested contexts are merged)
+ */
+function withLogContext(context, action) {
+    return contextStore.run({ ...contextStore.getStore(), ...context }, action);
+}
+
+function write(level, message, fields) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return;
+
+    const print = { warn: console.warn, error: console.error }[level] || console.log;
+
+    if (settings.format === 'json') {
+        print(JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            msg: message.replace(DECORATION, ''),
+            ...contextStore.getStore(),
+            ...fields
+        }));
+    } else {
+        print(`${level.toUpperCase().padEnd(5)} ${message}`);
+    }
+}
+
+/**
+ * log.info(message, fields): the message is what text output prints; fields only appear in JSON output
+ */
+const log = Object.fromEntries(LOG_LEVELS.map(level => [level, (message, fields = {}) => write(level, message, fields)]));
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_FORMATS,
+    log,
+    configureLogger,
+    withLogContext
+};
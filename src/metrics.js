@@ -0,0 +1,130 @@
+/**
+ * Run metrics: how many lookups succeeded and how long they and their steps took
+ *
+ * The runner records every address as it is done; the summary is logged and saved to the key-value store
+ * (RUN_SUMMARY) at the end of a run, or when a server shuts down.
+ */
+
+const { CONFIG } = require('./config');
+const { log } = require('./logger');
+
+// Key-value store record the run summary is written to
+const SUMMARY_KEY = 'RUN_SUMMARY';
+
+/**
+ * Nearest-rank percentile of a list of numbers (null for an empty list)
+ */
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Running count and total of durations (ms), with the most recent ones kept for the percentile
+ */
+function createDurationStats(maxSamples) {
+    const stats = { count: 0, totalMs: 0, samples: [] };
+
+    return {
+        add(durationMs) {
+            stats.count++;
+            stats.totalMs += durationMs;
+            stats.samples.push(durationMs);
+            if (stats.samples.length > maxSamples) stats.samples.shift();
+        },
+
+        // Count, average and 95th percentile (of the kept samples)
+        summary: () => ({
+            count: stats.count,
+            averageMs: stats.count > 0 ? Math.round(stats.totalMs / stats.count) : null,
+            p95Ms: percentile(stats.samples, 95)
+        })
+    };
+}
+
+/**
+ * Create the metrics of a run
+ * Only counters and a bounded sample of durations are kept, so a long-running server doesn't grow with every request
+ *
+ * @param {object} options - { maxSamples } durations kept per step for the p95 (default CONFIG.metrics.maxSamples)
+ * @returns {{ record(result, durationMs), summary() }}
+ */
+function createRunMetrics({ maxSamples = CONFIG.metrics.maxSamples } = {}) {
+    const startedAt = new Date();
+    const counts = { total: 0, succeeded: 0, fromCache: 0, changed: 0 };
+    const errors = {};
+    const lookupTime = createDurationStats(maxSamples);
+    const steps = new Map();
+
+    return {
+        /**
+         * Record one address: its record and how long it took, retries included
+         * Lookup and step times cover the lookups made in this run; cache hits are only counted
+         */
+        record(result, durationMs) {
+            counts.total++;
+            if (result.success) counts.succeeded++;
+            if (result.fromCache) counts.fromCache++;
+            if (result.changes?.changed) counts.changed++;
+            if (result.error) errors[result.error.code] = (errors[result.error.code] || 0) + 1;
+
+            if (result.fromCache || !(result.attempts > 0)) return;
+            lookupTime.add(durationMs);
+
+            // Step names without the risk category suffix of "all" mode (viewResults_III -> viewResults)
+            for (const { step, durationMs: stepMs, outcome } of result.steps || []) {
+                const name = step.replace(/_(I|II|III|IV)$/, '');
+                if (!steps.has(name)) steps.set(name, { durations: createDurationStats(maxSamples), failed: 0 });
+                steps.get(name).durations.add(stepMs);
+                if (outcome === 'failed') steps.get(name).failed++;
+            }
+        },
+
+        /**
+         * Summarize the run so far
+         */
+        summary() {
+            const finishedAt = new Date();
+
+            return {
+                startedAt: startedAt.toISOString(),
+                finishedAt: finishedAt.toISOString(),
+                durationMs: finishedAt - startedAt,
+                total: counts.total,
+                succeeded: counts.succeeded,
+                failed: counts.total - counts.succeeded,
+                fromCache: counts.fromCache,
+                changed: counts.changed,
+                successRate: counts.total > 0 ? Math.round((counts.succeeded / counts.total) * 1000) / 1000 : null,
+                lookupTime: lookupTime.summary(),
+                steps: Object.fromEntries([...steps].map(([name, { durations, failed }]) => [
+                    name, { ...durations.summary(), failed }
+                ])),
+                errors: { ...errors }
+            };
+        }
+    };
+}
+
+/**
+ * Log the summary of a run and save it to the key-value store
+ */
+async function saveRunSummary(metrics, keyValueStore) {
+    const summary = metrics.summary();
+    const { averageMs, p95Ms } = summary.lookupTime;
+    const rate = summary.successRate === null ? 'n/a' : `${(summary.successRate * 100).toFixed(1)}%`;
+
+    log.info(`📊 Run summary: ${summary.succeeded}/${summary.total} succeeded (${rate}), ${summary.fromCache} from cache, ${summary.changed} changed, `
+        + `lookup time average ${averageMs ?? '-'}ms, p95 ${p95Ms ?? '-'}ms`, { summary });
+    await keyValueStore.setValue(SUMMARY_KEY, summary);
+
+    return summary;
+}
+
+module.exports = {
+    SUMMARY_KEY,
+    percentile,
+    createRunMetrics,
+    saveRunSummary
+};
@@ -0,0 +1,164 @@
+/**
+ * Helpers for the JSON responses the Hazard Tool fetches while it works (geocoder replies, hazard data)
+ */
+
+const { HAZARD_API_URL_PATTERN } = require('./config');
+
+/**
+ * Start recording the JSON responses the Hazard Tool fetches (geocoder, hazard data)
+ * Use mark()/since() to look only at responses that arrived after a given action, and
+ * waitFor() to wait for one to arrive
+ */
+function createResponseCollector(page) {
+    const responses = [];
+
+    const onResponse = async (response) => {
+        const contentType = response.headers()['content-type'] || '';
+        if (!contentType.includes('json')) return;
+
+        try {
+            responses.push({ url: response.url(), payload: await response.json() });
+        } catch (error) {
+            // Body unavailable (redirect, aborted request) - ignore
+        }
+    };
+    page.on('response', onResponse);
+
+    // Resolve with the first response after `mark` that matches, or null once the timeout passes
+    const waitFor = async (predicate, mark, timeout) => {
+        const deadline = Date.now() + timeout;
+
+        while (Date.now() < deadline) {
+            const match = responses.slice(mark).find(predicate);
+            if (match) return match;
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        return responses.slice(mark).find(predicate) || null;
+    };
+
+    return {
+        responses,
+        mark: () => responses.length,
+        since: (mark) => responses.slice(mark),
+        waitFor,
+        dispose: () => page.off('response', onResponse)
+    };
+}
+
+// Lowest mapped basic wind speed (mph, ASCE 7-22 Risk Category I); smaller numbers are something else
+const MIN_WIND_SPEED = 80;
+
+// Serviceability values (10- to 100-year MRI) sit next to the design speed but are not it
+const SERVICEABILITY = /mri|return|serviceab|\d+-?year/i;
+
+/**
+ * Search a hazard API payload for the basic wind speed
+ * Walks the JSON looking for a speed-like number (80-300) under a wind-related key or next to an mph unit,
+ * skipping serviceability values whether they are marked by their key or by their label
+ */
+function findWindSpeedInPayload(node, path = '') {
+    if (!node || typeof node !== 'object') return null;
+
+    if (!Array.isArray(node)) {
+        // Label strings ({ label: '10-year MRI' }, { name: 'Wind Speed' }) describe the whole object
+        const labels = Object.entries(node)
+            .filter(([key, value]) => typeof value === 'string' && /^(label|name|title|type|description)$/i.test(key))
+            .map(([, value]) => value);
+        if (labels.some(label => SERVICEABILITY.test(label))) return null;
+
+        // Labels like { type: 'wind' } or { name: 'Wind Speed' } count as context for nested values too
+        path = [path, ...Object.values(node).filter(value => typeof value === 'string' && /wind/i.test(value))].join('.');
+
+        const unit = String(node.unit || node.units || '');
+        const windContext = /wind/i.test(path) || /mph/i.test(unit);
+
+        for (const [key, value] of Object.entries(node)) {
+            const speed = typeof value === 'string' ? parseFloat(value) : value;
+            const windKey = /^(basic_?)?wind_?speed$/i.test(key);
+            const speedKey = /^(vmph|v|value|speed)$/i.test(key);
+
+            if ((windKey || (speedKey && windContext)) && Number.isFinite(speed) && speed >= MIN_WIND_SPEED && speed <= 300) {
+                return { windSpeed: String(Math.round(speed)), unit: unit || 'mph' };
+            }
+        }
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+        if (SERVICEABILITY.test(key)) continue;
+
+        const found = findWindSpeedInPayload(value, `${path}.${key}`);
+        if (found) return found;
+    }
+
+    return null;
+}
+
+/**
+ * Find the basic wind speed in the recorded responses of the hazard data API (HAZARD_API_URL_PATTERN)
+ * Responses from anywhere else are not looked at
+ * @returns {object|null} { windSpeed, unit, url }
+ */
+function findHazardWindSpeed(responses) {
+    for (const { url, payload } of responses) {
+        if (!HAZARD_API_URL_PATTERN.test(url)) continue;
+
+        const found = findWindSpeedInPayload(payload);
+        if (found) return { ...found, url };
+    }
+
+    return null;
+}
+
+/**
+ * Pull the first candidate's location out of a geocoder response
+ * Handles ArcGIS (candidates/locations) and GeoJSON (features) payloads
+ */
+function parseGeocoderCoordinates(payload) {
+    if (!payload || typeof payload !== 'object') return null;
+
+    const candidate = payload.candidates?.[0]?.location
+        || payload.locations?.[0]?.feature?.geometry
+        || payload.features?.[0]?.geometry;
+
+    if (!candidate) return null;
+
+    // GeoJSON points are [longitude, latitude]
+    const [x, y] = Array.isArray(candidate.coordinates) ? candidate.coordinates : [candidate.x, candidate.y];
+
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+
+    return { latitude: y, longitude: x };
+}
+
+/**
+ * Whether a geocoder response has at least one candidate
+ * Only a recognised, empty candidate list counts as "no match"; unknown shapes are given the benefit of the doubt
+ */
+function hasGeocoderCandidates(payload) {
+    const list = payload?.candidates || payload?.locations || payload?.features;
+    return !Array.isArray(list) || list.length > 0;
+}
+
+/**
+ * Labels of the candidates in a geocoder response, in the order the geocoder ranked them
+ * Handles the same payload shapes as parseGeocoderCoordinates
+ */
+function getGeocoderCandidates(payload) {
+    if (!payload || typeof payload !== 'object') return [];
+
+    const labels = (payload.candidates || []).map(candidate => candidate.address)
+        .concat((payload.locations || []).map(location => location.name))
+        .concat((payload.features || []).map(feature => feature.properties?.label || feature.properties?.name || feature.place_name));
+
+    return labels.filter(label => typeof label === 'string' && label.trim().length > 0);
+}
+
+module.exports = {
+    createResponseCollector,
+    findWindSpeedInPayload,
+    findHazardWindSpeed,
+    parseGeocoderCoordinates,
+    hasGeocoderCandidates,
+    getGeocoderCandidates
+};
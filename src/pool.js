@@ -0,0 +1,111 @@
+/**
+ * Pool of ready-to-use pages on a warm browser, for server mode
+ *
+ * Pages are opened ahead of time so a request doesn't wait for Chromium. A page is used for one lookup
+ * attempt and then closed, with a fresh one opened in its place, so no state leaks between requests.
+ * When every page is busy, callers wait in line (first come, first served).
+ */
+
+const { openPage } = require('./browser');
+const { log } = require('./logger');
+
+/**
+ * Create a page pool
+ *
+ * @param {Function} getBrowser - Returns the shared browser (relaunching it if it was closed or crashed)
+ * @param {object} options - { size } number of pages kept open
+ * @returns {{ warm(), acquire(), release(page), stats(), close() }}
+ */
+function createPagePool(getBrowser, { size }) {
+    const idle = [];
+    const waiting = [];
+    let busy = 0;
+    let opening = 0;
+    let closed = false;
+
+    // Hand a page to the next caller in line, or keep it for later
+    const offer = (page) => {
+        const next = waiting.shift();
+        if (next) {
+            busy++;
+            next.resolve(page);
+        } else {
+            idle.push(page);
+        }
+    };
+
+    // Open a replacement page; on failure the oldest caller in line gets the error instead of waiting forever,
+    // and the page is tried again by the next acquire
+    const refill = async () => {
+        opening++;
+        try {
+            const page = await openPage(await getBrowser());
+            if (closed) {
+                await page.close().catch(() => {});
+            } else {
+                offer(page);
+            }
+        } catch (error) {
+            log.warn(`⚠️ Could not open a pooled page: ${error.message}`);
+            waiting.shift()?.reject(error);
+        } finally {
+            opening--;
+        }
+    };
+
+    // Keep the pool at full size
+    const topUp = () => {
+        const missing = size - idle.length - busy - opening;
+        return Promise.all(Array.from({ length: Math.max(0, missing) }, refill));
+    };
+
+    return {
+        /**
+         * Open the pool's pages (call before accepting requests)
+         */
+        async warm() {
+            await topUp();
+            log.info(`🔥 Page pool ready: ${idle.length}/${size} pages`);
+        },
+
+        /**
+         * Take a page, waiting in line while every page is busy
+         */
+        acquire() {
+            // A page that was closed while idle (browser crash) is dropped and replaced
+            while (idle.length > 0) {
+                const page = idle.shift();
+                if (!page.isClosed()) {
+                    busy++;
+                    return Promise.resolve(page);
+                }
+            }
+
+            topUp();
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+
+        /**
+         * Give a page back; it is closed and replaced by a fresh one
+         */
+        async release(page) {
+            busy--;
+            await page.close().catch(() => {});
+            if (!closed) await topUp();
+        },
+
+        stats() {
+            return { size, idle: idle.length, busy, waiting: waiting.length, ready: !closed && idle.length + busy > 0 };
+        },
+
+        async close() {
+            closed = true;
+            for (const { reject } of waiting.splice(0)) reject(new Error('Page pool closed'));
+            await Promise.all(idle.splice(0).map(page => page.close().catch(() => {})));
+        }
+    };
+}
+
+module.exports = {
+    createPagePool
+};
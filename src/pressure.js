@@ -0,0 +1,127 @@
+/**
+ * Velocity pressure (ASCE 7 Chapter 26) from the extracted basic wind speed
+ *
+ * Pure computation: no page access, so results can be checked against worked examples offline.
+ */
+
+const EXPOSURE_CATEGORIES = ['B', 'C', 'D'];
+
+// Heights (ft) of the velocity pressure exposure coefficient table (Table 26.10-1), for the qz profile
+const PROFILE_HEIGHTS = [15, 20, 25, 30, 40, 50, 60, 70, 80, 90, 100, 120, 140, 160, 180, 200, 250, 300, 350, 400, 450, 500];
+
+// Below this height Kz is taken at 15 ft
+const MIN_HEIGHT = 15;
+
+/**
+ * Terrain exposure constants per edition family (Table 26.11-1)
+ * ASCE 7-22 recalibrated the power law, so alpha, zg and the Kz constant differ from 7-10/7-16
+ */
+const TERRAIN = {
+    '7-10': { constant: 2.01, B: { alpha: 7, zg: 1200 }, C: { alpha: 9.5, zg: 900 }, D: { alpha: 11.5, zg: 700 } },
+    '7-16': { constant: 2.01, B: { alpha: 7, zg: 1200 }, C: { alpha: 9.5, zg: 900 }, D: { alpha: 11.5, zg: 700 } },
+    '7-22': { constant: 2.41, B: { alpha: 7.5, zg: 3280 }, C: { alpha: 9.8, zg: 2460 }, D: { alpha: 11.5, zg: 1935 } }
+};
+
+/**
+ * Velocity pressure equation per edition (Eq. 26.10-1); `ke`/`kd` tell which factors are part of qz
+ * 7-10 has no ground elevation factor; 7-22 moved Kd out of qz into the design pressure equations
+ */
+const EQUATIONS = {
+    '7-10': { text: 'qz = 0.00256 Kz Kzt Kd V^2', kd: true, ke: false },
+    '7-16': { text: 'qz = 0.00256 Kz Kzt Kd Ke V^2', kd: true, ke: true },
+    '7-22': { text: 'qz = 0.00256 Kz Kzt Ke V^2', kd: false, ke: true }
+};
+
+/**
+ * Round to a fixed number of decimals for output
+ */
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Velocity pressure exposure coefficient Kz at height z (ft)
+ * Kz = constant * (z / zg)^(2 / alpha), with z held between 15 ft and the gradient height zg
+ */
+function exposureCoefficient(z, exposure, edition) {
+    const { constant, [exposure]: terrain } = TERRAIN[edition];
+    const height = Math.min(Math.max(z, MIN_HEIGHT), terrain.zg);
+
+    return constant * (height / terrain.zg) ** (2 / terrain.alpha);
+}
+
+/**
+ * Velocity pressure (psf) at height z for a basic wind speed V (mph)
+ *
+ * @param {number} windSpeed - Basic wind speed V in mph
+ * @param {number} z - Height above ground in ft
+ * @param {object} options - { exposure, edition, kzt, kd, ke }
+ */
+function velocityPressure(windSpeed, z, { exposure, edition, kzt = 1, kd = 0.85, ke = 1 }) {
+    const equation = EQUATIONS[edition];
+    const kz = exposureCoefficient(z, exposure, edition);
+
+    return 0.00256 * kz * kzt * (equation.kd ? kd : 1) * (equation.ke ? ke : 1) * windSpeed ** 2;
+}
+
+/**
+ * Velocity pressures for a lookup result
+ * qh is evaluated at the mean roof height and qz at each table height up to it, for every risk category read;
+ * the top-level qh and qz are those of the record's windSpeed (null in "all" mode, which has none)
+ *
+ * @param {object} result - Successful extractWindSpeed result (windSpeed, windSpeeds, asceEdition)
+ * @param {object} options - { exposure, meanRoofHeight, kzt, kd, ke } from parseInput()
+ * @returns {object|null} null when the result has no wind speeds or edition to compute from
+ */
+function calculateWindPressure(result, { exposure, meanRoofHeight, kzt, kd, ke }) {
+    const edition = result.asceEdition;
+    const windSpeeds = Object.entries(result.windSpeeds || {}).filter(([, value]) => value);
+    if (!EQUATIONS[edition] || windSpeeds.length === 0) return null;
+
+    const equation = EQUATIONS[edition];
+    const { alpha, zg } = TERRAIN[edition][exposure];
+    const factors = { exposure, edition, kzt, kd, ke };
+
+    const heights = [...PROFILE_HEIGHTS.filter(z => z < meanRoofHeight), Math.max(meanRoofHeight, MIN_HEIGHT)];
+    const qzProfile = (windSpeed) => heights.map(z => ({ z, qz: round(velocityPressure(windSpeed, z, factors), 2) }));
+    const qhAt = (windSpeed) => round(velocityPressure(windSpeed, meanRoofHeight, factors), 2);
+
+    const qhByCategory = {};
+    const qzByCategory = {};
+    for (const [category, windSpeed] of windSpeeds) {
+        qhByCategory[category] = qhAt(Number(windSpeed));
+        qzByCategory[category] = qzProfile(Number(windSpeed));
+    }
+
+    const windSpeed = result.windSpeed ? Number(result.windSpeed) : null;
+
+    return {
+        edition,
+        equation: equation.text,
+        exposureCategory: exposure,
+        meanRoofHeight,
+        windSpeed,
+        coefficients: {
+            kh: round(exposureCoefficient(meanRoofHeight, exposure, edition), 3),
+            kzt,
+            // Reported even when not part of qz (7-22 applies Kd in the design pressure equations)
+            kd,
+            ke: equation.ke ? ke : null,
+            alpha,
+            zg
+        },
+        unit: 'psf',
+        qh: windSpeed === null ? null : qhAt(windSpeed),
+        qhByCategory,
+        qz: windSpeed === null ? null : qzProfile(windSpeed),
+        qzByCategory
+    };
+}
+
+module.exports = {
+    EXPOSURE_CATEGORIES,
+    exposureCoefficient,
+    velocityPressure,
+    calculateWindPressure
+};
@@ -0,0 +1,214 @@
+/**
+ * Runs every lookup of a run through the shared extractor on one browser
+ */
+
+const crypto = require('crypto');
+const { CONFIG } = require('./config');
+const { validateAddress } = require('./address');
+const { openPage } = require('./browser');
+const { createCache } = require('./cache');
+const { ExtractionError, toErrorRecord } = require('./errors');
+const { delay, createResult, extractWindSpeed } = require('./extractor');
+const { createHistory } = require('./history');
+const { log, withLogContext } = require('./logger');
+const { calculateWindPressure } = require('./pressure');
+const { deliverWebhook } = require('./webhook');
+
+/**
+ * Log the lookup settings at the start of a run
+ */
+function logSettings(settings) {
+    const { addresses, coordinates, riskCategory, asceEdition, hazards, debugScreenshots } = settings;
+    const batchMode = addresses.length > 1;
+
+    log.info(`📍 Processing ${addresses.length} address(es)${batchMode ? ' in batch mode' : ''}`);
+    if (coordinates) {
+        log.info(`📌 Using coordinates ${coordinates.latitude}, ${coordinates.longitude} instead of geocoding the address`);
+    }
+    log.info(`📘 ASCE edition: ${asceEdition || 'site default'}`);
+    log.info(`🎯 Risk category: ${riskCategory}`);
+    log.info(`☑️ Hazards: ${hazards.join(', ')}`);
+    log.info(`📸 Debug screenshots: ${debugScreenshots ? 'enabled' : 'disabled'}`);
+    log.info(`🔁 Retries for transient failures: ${settings.retries}`);
+    log.info(`🧭 Minimum geocoder match score: ${settings.minMatchScore}`);
+    log.info(`📄 Hazard report PDF: ${settings.includeReport ? 'enabled' : 'disabled'}`);
+    log.info(`🧾 Failure artifacts: ${settings.captureOnFailure ? 'enabled' : 'disabled'}`);
+    if (settings.pressure) {
+        const { exposure, meanRoofHeight, kzt, kd, ke } = settings.pressure;
+        log.info(`🌬️ Wind pressure: exposure ${exposure}, h = ${meanRoofHeight} ft, Kzt ${kzt}, Kd ${kd}, Ke ${ke}`);
+    }
+    if (settings.webhook) {
+        const { url, secret, event } = settings.webhook;
+        log.info(`📨 Webhook: ${new URL(url).origin} (${event === 'record' ? 'each record' : 'batch summary'}, ${secret ? 'signed' : 'unsigned'})`);
+    }
+    if (settings.cacheTtlDays > 0) {
+        log.info(`🗄️ Cache: results up to ${settings.cacheTtlDays} days old${settings.forceRefresh ? ' (refresh forced)' : ''}`);
+    } else {
+        log.info('🗄️ Cache: disabled');
+    }
+}
+
+/**
+ * Run extractWindSpeed, retrying transient failures on a fresh page with exponential backoff
+ * Deterministic failures (result.error.retryable false) are returned straight away
+ *
+ * @param {Browser|null} browser - Browser to open attempt pages in (unused with a pool)
+ * @param {string|null} address - Address to look up
+ * @param {object} options - extractWindSpeed options plus { retries, retryBackoff, pool } where pool (src/pool.js)
+ *   supplies the attempt pages in server mode
+ * @returns {Promise<object>} The last attempt's result, with `attempts` and `attemptErrors`
+ */
+async function extractWithRetry(browser, address, options) {
+    const { retries = CONFIG.retries, retryBackoff = CONFIG.retryBackoff, pool = null, ...extractOptions } = options;
+    const attemptErrors = [];
+
+    for (let attempt = 1; ; attempt++) {
+        const page = pool ? await pool.acquire() : await openPage(browser);
+
+        let result;
+        try {
+            result = await extractWindSpeed(page, address, extractOptions);
+        } finally {
+            if (pool) {
+                await pool.release(page);
+            } else {
+                await page.close().catch(() => {});
+            }
+        }
+
+        if (!result.success) {
+            attemptErrors.push({ attempt, ...result.error });
+        }
+
+        if (result.success || !result.error.retryable || attempt > retries) {
+            result.attempts = attempt;
+            result.attemptErrors = attemptErrors;
+            return result;
+        }
+
+        const backoff = retryBackoff * 2 ** (attempt - 1);
+        log.warn(`🔁 Attempt ${attempt}/${retries + 1} failed (${result.error.code}: ${result.error.message}), retrying in ${backoff}ms...`);
+        await delay(backoff);
+    }
+}
+
+/**
+ * Look up every address in the settings, one fresh page per attempt
+ * Addresses found in the cache are answered without touching the browser; each record gets a correlation id that
+ * also tags the address's log lines
+ *
+ * @param {Function} getBrowser - Returns the shared browser for the run; only called once a lookup needs it
+ * @param {object} settings - Output of parseInput()
+ * @param {object} options - { keyValueStore, cacheStore, historyStore, onResult, pool, checkQueue, keyPrefix, metrics } where
+ *   cacheStore holds cached results (omit to disable the cache), historyStore the last result of every lookup
+ *   for change detection (src/history.js, omit to disable), onResult(result) is awaited after each lookup, pool
+ *   replaces getBrowser as the source of pages (server mode), checkQueue() is asked before an address that needs a
+ *   page takes one and returns the error to fail it with when there is no room (or null), keyPrefix keeps the key-value store records of
+ *   concurrent requests apart and metrics (src/metrics.js) records every address for the run summary
+ *   Record webhooks are delivered in the background while the next addresses are looked up; onResult still gets the
+ *   records in input order, each once its delivery has settled, and every delivery settles before this returns
+ * @returns {Promise<object[]>} One result per address, in input order
+ */
+async function runLookups(getBrowser, settings, options) {
+    const {
+        keyValueStore, cacheStore = null, historyStore = null, onResult = async () => {}, pool = null, checkQueue = () => null,
+        keyPrefix = '', metrics = null
+    } = options;
+    const {
+        addresses, coordinates, riskCategory, asceEdition, hazards, debugScreenshots, retries, minMatchScore,
+        cacheTtlDays, forceRefresh, includeReport, captureOnFailure, pressure, webhook
+    } = settings;
+    const batchMode = addresses.length > 1;
+    const cache = cacheStore && cacheTtlDays > 0 ? createCache(cacheStore, { ttlDays: cacheTtlDays, forceRefresh }) : null;
+    const history = historyStore ? createHistory(historyStore) : null;
+    const results = [];
+    // onResult calls, chained so they run in input order behind each record's webhook delivery
+    let saved = Promise.resolve();
+
+    logSettings(settings);
+
+    for (const [index, address] of addresses.entries()) {
+        // Every line logged for this address carries its correlation id, as does its record
+        const correlationId = crypto.randomUUID();
+        const result = await withLogContext({ correlationId, address }, async () => {
+            log.info(`📍 [${index + 1}/${addresses.length}] Processing address: ${address ?? '(coordinates only)'}`, { index });
+            const startedAt = Date.now();
+
+            // Addresses that cannot be looked up fail here, before the cache or the browser
+            // Coordinates replace the address, so it is only echoed and not checked
+            const problems = coordinates ? [] : validateAddress(address);
+            const lookup = { address, coordinates, riskCategory, asceEdition, hazards, includeReport };
+            const cached = problems.length === 0 && cache && await cache.get(lookup);
+
+            // Only a lookup that needs a page can be turned away for a full queue
+            const queueError = problems.length === 0 && !cached ? checkQueue() : null;
+
+            let record;
+            if (problems.length > 0 || queueError) {
+                record = createResult(address, { riskCategory, asceEdition, coordinates });
+                record.error = toErrorRecord(queueError || new ExtractionError('INVALID_INPUT', `Invalid address "${address}": ${problems.join(', ')}`, { step: 'input' }));
+                Object.assign(record, { attempts: 0, attemptErrors: [], fromCache: false });
+                log.error(`❌ ${record.error.message}`, { code: record.error.code });
+            } else if (cached) {
+                // The record as originally looked up (its timestamp and steps included), echoing this run's request
+                record = { ...cached, address, requestedCoordinates: coordinates, attempts: 0, attemptErrors: [], fromCache: true };
+            } else {
+                // Extract wind speed (errors are captured on the result, never thrown)
+                // Each attempt gets a fresh page so state from a previous lookup can't leak into the next
+                record = await extractWithRetry(pool ? null : await getBrowser(), address, {
+                    debugMode: debugScreenshots,
+                    keyValueStore,
+                    riskCategory,
+                    hazards,
+                    asceEdition,
+                    coordinates,
+                    minMatchScore,
+                    includeReport,
+                    // Next to the cache entry that links to it, so the report outlives this run
+                    reportStore: cache ? cacheStore : keyValueStore,
+                    captureOnFailure,
+                    retries,
+                    pool,
+                    screenshotPrefix: keyPrefix + (batchMode ? `addr_${String(index + 1).padStart(3, '0')}_` : '')
+                });
+                record.fromCache = false;
+
+                await cache?.set(lookup, record);
+            }
+            record.correlationId = correlationId;
+
+            // Against the last successful lookup of the same property and settings, however long ago
+            record.changes = history ? await history.compare(lookup, record) : null;
+
+            // Computed from the wind speeds each time, so cached records follow this run's pressure settings
+            if (record.success) {
+                record.windPressure = pressure ? calculateWindPressure(record, pressure) : null;
+            }
+
+            // Lookup time covers every attempt and the backoff between them
+            metrics?.record(record, Date.now() - startedAt);
+
+            // The record is posted as it will be saved; the delivery outcome is then added to it
+            // A slow or unreachable endpoint does not hold up the next address, only this record's onResult
+            const delivery = webhook?.event === 'record' ? deliverWebhook(webhook, 'record', record) : null;
+            saved = saved.then(async () => {
+                if (delivery) record.webhook = await delivery;
+                await onResult(record);
+            });
+            return record;
+        });
+
+        results.push(result);
+    }
+    await saved;
+
+    const succeeded = results.filter(result => result.success).length;
+    log.info(`✅ Extraction complete! ${succeeded}/${results.length} succeeded`);
+
+    return results;
+}
+
+module.exports = {
+    extractWithRetry,
+    runLookups
+};
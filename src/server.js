@@ -0,0 +1,169 @@
+/**
+ * HTTP API for server mode
+ *
+ *   GET  /wind?address=...&riskCategory=...  one lookup, answered with the record
+ *   POST /wind/batch                          actor-style JSON input ({ addresses, ... }), answered with the records
+ *   GET  /health                              liveness and page pool stats
+ *   GET  /ready                               200 once the page pool is warm, 503 before
+ *
+ * Lookups run through runLookups on pages from the pool, so records have the same shape as in batch mode.
+ */
+
+const http = require('http');
+const { ExtractionError, toErrorRecord } = require('./errors');
+const { parseInput } = require('./input');
+const { log } = require('./logger');
+const { runLookups } = require('./runner');
+
+// Largest accepted request body (batch input)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Query parameters that arrive as strings but are numbers or booleans in the actor input
+const NUMBER_PARAMS = ['latitude', 'longitude', 'maxRetries', 'minMatchScore', 'cacheTtlDays', 'meanRoofHeight', 'kzt', 'kd', 'ke'];
+const BOOLEAN_PARAMS = ['forceRefresh', 'includeReport', 'debugScreenshots'];
+
+// Header the platform sends with its standby readiness probe
+const READINESS_PROBE_HEADER = 'x-apify-container-server-readiness-probe';
+
+/**
+ * Turn GET /wind query parameters into actor input
+ * hazards is comma separated (hazards=seismic,snow); values that don't convert are passed on for parseInput to reject
+ */
+function queryToInput(searchParams) {
+    const input = {};
+
+    for (const [name, value] of searchParams) {
+        if (NUMBER_PARAMS.includes(name)) {
+            input[name] = value.trim() === '' ? value : Number(value);
+        } else if (BOOLEAN_PARAMS.includes(name)) {
+            input[name] = value === 'true' || value === '1';
+        } else if (name === 'hazards') {
+            input.hazards = value.split(',').map(type => type.trim()).filter(Boolean);
+        } else {
+            input[name] = value;
+        }
+    }
+
+    return input;
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+async function readJsonBody(request) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new ExtractionError('INVALID_INPUT', `Request body larger than ${MAX_BODY_BYTES} bytes`, { step: 'input' });
+        }
+        chunks.push(chunk);
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    } catch (error) {
+        throw new ExtractionError('INVALID_INPUT', `Request body is not valid JSON: ${error.message}`, { step: 'input' });
+    }
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Send a failed response in the shape of a failed lookup's output ({ success, error })
+ */
+function sendError(response, status, error) {
+    sendJson(response, status, { success: false, error: toErrorRecord(error) });
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ *
+ * @param {object} pool - Warm page pool (src/pool.js)
+ * @param {object} options - { defaults, maxQueue, keyValueStore, cacheStore, historyStore, onResult, metrics } where
+ *   defaults is actor input applied under every request's own input, maxQueue caps the lookups waiting for a page,
+ *   historyStore enables change detection (src/history.js) and metrics (src/metrics.js) records every lookup for
+ *   the server's run summary
+ * @returns {http.Server}
+ */
+function createServer(pool, options) {
+    const {
+        defaults = {}, maxQueue, keyValueStore, cacheStore = null, historyStore = null, onResult = async () => {}, metrics = null
+    } = options;
+    let requestCount = 0;
+
+    // Run the lookups of one request; records of concurrent requests get their own key prefix
+    // The webhook is the server's (actor input); a request cannot point it elsewhere
+    async function lookup(input) {
+        const { webhookUrl, webhookSecret, webhookEvent, ...requestInput } = input;
+        const settings = parseInput({ debugScreenshots: false, ...defaults, ...requestInput });
+        if (settings.spreadsheet) {
+            throw new ExtractionError('INVALID_INPUT', 'inputFile is not supported in server mode; POST the addresses to /wind/batch', { step: 'input' });
+        }
+        const keyPrefix = `req_${String(++requestCount).padStart(6, '0')}_`;
+
+        return runLookups(null, settings, { keyValueStore, cacheStore, historyStore, onResult, pool, checkQueue, keyPrefix, metrics });
+    }
+
+    // Lookups beyond the queue limit are turned away rather than left waiting indefinitely; cache hits need no page
+    function checkQueue() {
+        const { size, idle, waiting } = pool.stats();
+        if (idle > 0 || waiting < maxQueue) return null;
+
+        return new ExtractionError('SERVER_BUSY', `All ${size} pages are busy and ${waiting} lookups are waiting`, { step: 'queue' });
+    }
+
+    async function route(request, response) {
+        const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+
+        if (request.headers[READINESS_PROBE_HEADER]) {
+            sendJson(response, pool.stats().ready ? 200 : 503, { ready: pool.stats().ready });
+        } else if (request.method === 'GET' && pathname === '/health') {
+            sendJson(response, 200, { status: 'ok', pool: pool.stats() });
+        } else if (request.method === 'GET' && pathname === '/ready') {
+            const stats = pool.stats();
+            sendJson(response, stats.ready ? 200 : 503, { ready: stats.ready, pool: stats });
+        } else if (pathname === '/wind' || pathname === '/wind/batch') {
+            const batch = pathname === '/wind/batch';
+            if (request.method !== (batch ? 'POST' : 'GET')) {
+                sendError(response, 405, new ExtractionError('INVALID_INPUT', `Use ${batch ? 'POST' : 'GET'} ${pathname}`, { step: 'input' }));
+                return;
+            }
+
+            let results;
+            try {
+                const body = batch ? await readJsonBody(request) : null;
+                results = await lookup(batch ? (Array.isArray(body) ? { addresses: body } : body) : queryToInput(searchParams));
+            } catch (error) {
+                sendError(response, error.code === 'INVALID_INPUT' ? 400 : 500, error);
+                return;
+            }
+
+            // A single lookup turned away for a full queue is a 503; a batch reports it on the address's record
+            const busy = !batch && results[0].error?.code === 'SERVER_BUSY';
+            sendJson(response, busy ? 503 : 200, batch ? results : results[0]);
+        } else {
+            sendError(response, 404, new ExtractionError('INVALID_INPUT', `No route for ${request.method} ${pathname}`, { step: 'input' }));
+        }
+    }
+
+    return http.createServer((request, response) => {
+        route(request, response).catch((error) => {
+            log.error(`❌ Request failed: ${error.message}`);
+            if (!response.headersSent) sendError(response, 500, error);
+        });
+    });
+}
+
+module.exports = {
+    queryToInput,
+    createServer
+};
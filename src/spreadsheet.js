@@ -0,0 +1,324 @@
+/**
+ * CSV/XLSX address portfolios: read the addresses from a spreadsheet and write it back with the results
+ *
+ * Addresses come from one address column or from street/city/state/ZIP columns, found by header name
+ * or given in `columnMapping`. The enriched file keeps every original column and row, in order.
+ */
+
+const ExcelJS = require('exceljs');
+const { ExtractionError } = require('./errors');
+const { log } = require('./logger');
+
+const FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Key-value store record the enriched spreadsheet is written to
+const OUTPUT_KEY = 'OUTPUT_SPREADSHEET';
+
+// Header names recognised per address part (compared lowercase, punctuation as spaces)
+const COLUMN_ALIASES = {
+    address: ['address', 'full address', 'property address', 'site address', 'location'],
+    street: ['street', 'street address', 'address 1', 'address line 1', 'address1'],
+    city: ['city', 'town'],
+    state: ['state', 'st', 'state code'],
+    zip: ['zip', 'zip code', 'zipcode', 'postal code', 'zip5']
+};
+
+// Columns added to the enriched file, in order
+const RESULT_COLUMNS = ['windSpeed', 'riskCategory', 'latitude', 'longitude', 'success', 'error'];
+
+// Text cells starting with these are run as formulas when the file is opened in a spreadsheet app
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Build the error thrown for a spreadsheet that cannot be used
+ */
+function invalidFile(message) {
+    return new ExtractionError('INVALID_INPUT', message, { step: 'input' });
+}
+
+/**
+ * Compare header names loosely: "Property Address", "property_address" and "PROPERTY-ADDRESS" match
+ */
+function headerKey(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes) into rows of strings
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Excel writes a byte order mark at the start of UTF-8 CSV files
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines (a single empty field) carry no data
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Write rows of values as CSV, quoting fields that need it
+ */
+function toCsv(rows) {
+    const quote = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Keep a text cell from being run as a formula by prefixing it with an apostrophe; numbers are written as they are
+ */
+function escapeFormula(value) {
+    return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Restore the leading zeros of ZIP codes stored as numbers (Excel turns 02108 into 2108)
+ */
+function padZipCodes(rows, column) {
+    for (const row of rows) {
+        const zip = String(row[column] ?? '').trim();
+        if (/^\d{3,4}(-\d{4})?$/.test(zip)) {
+            const [five, plusFour] = zip.split('-');
+            row[column] = [five.padStart(5, '0'), plusFour].filter(Boolean).join('-');
+        }
+    }
+}
+
+/**
+ * Tell CSV from XLSX by content: XLSX files are ZIP archives ("PK" signature)
+ */
+function detectFormat(buffer) {
+    return buffer.length > 3 && buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04 ? 'xlsx' : 'csv';
+}
+
+/**
+ * Read the rows of a CSV or XLSX file (first worksheet); the first row holds the headers
+ * @returns {Promise<{ format, headers: string[], rows: string[][] }>}
+ */
+async function readSpreadsheet(buffer) {
+    const format = detectFormat(buffer);
+    let table;
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch (error) {
+            throw invalidFile(`Could not read the XLSX file: ${error.message}`);
+        }
+
+        const worksheet = workbook.worksheets[0];
+        table = [];
+        worksheet?.eachRow({ includeEmpty: false }, (row) => {
+            const cells = [];
+            for (let column = 1; column <= worksheet.columnCount; column++) {
+                cells.push(row.getCell(column).text);
+            }
+            table.push(cells);
+        });
+    } else {
+        table = parseCsv(buffer.toString('utf8'));
+    }
+
+    if (table.length < 2) {
+        throw invalidFile('The spreadsheet has no data rows (expected a header row followed by one row per property)');
+    }
+
+    const [headers, ...rows] = table;
+    return { format, headers: headers.map(header => String(header).trim()), rows };
+}
+
+/**
+ * Find the columns the address is built from
+ * A mapping names the headers to use; without one they are recognised by name. An "Address" column next to
+ * City and State columns is taken as the street.
+ *
+ * @returns {{ address: number }|{ street: number, city: number, state: number, zip: number|null }} Column indexes
+ */
+function resolveColumns(headers, mapping = null) {
+    const keys = headers.map(headerKey);
+
+    const find = (part) => {
+        if (mapping) {
+            if (!mapping[part]) return -1;
+            const index = keys.indexOf(headerKey(mapping[part]));
+            if (index === -1) {
+                throw invalidFile(`Column "${mapping[part]}" (columnMapping.${part}) is not in the spreadsheet (columns: ${headers.join(', ')})`);
+            }
+            return index;
+        }
+        return keys.findIndex(key => COLUMN_ALIASES[part].includes(key));
+    };
+
+    const columns = { address: find('address'), street: find('street'), city: find('city'), state: find('state'), zip: find('zip') };
+    const split = columns.city !== -1 && columns.state !== -1;
+
+    if (split && (columns.street !== -1 || columns.address !== -1)) {
+        return {
+            street: columns.street !== -1 ? columns.street : columns.address,
+            city: columns.city,
+            state: columns.state,
+            zip: columns.zip !== -1 ? columns.zip : null
+        };
+    }
+
+    if (columns.address !== -1) {
+        return { address: columns.address };
+    }
+
+    throw invalidFile(`No address columns found (columns: ${headers.join(', ')}); `
+        + 'set columnMapping to { "address": "<column>" } or { "street", "city", "state", "zip" }');
+}
+
+/**
+ * Assemble the address of one row: "street, city, state zip", whitespace collapsed
+ */
+function rowAddress(row, columns) {
+    const cell = index => (index === null ? '' : String(row[index] ?? '').trim());
+
+    const address = 'address' in columns
+        ? cell(columns.address)
+        : [cell(columns.street), cell(columns.city), `${cell(columns.state)} ${cell(columns.zip)}`.trim()].filter(Boolean).join(', ');
+
+    return address.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Load the input spreadsheet from a URL (e.g. an uploaded input file) or a record of the key-value store
+ *
+ * @param {object} spreadsheet - { source, columnMapping, outputFormat } from parseInput()
+ * @param {object} keyValueStore - Store holding the record when source is a key
+ * @returns {Promise<object>} { format, headers, rows, addresses } with one address per row ("" when blank)
+ */
+async function loadSpreadsheet({ source, columnMapping }, keyValueStore) {
+    let buffer;
+
+    if (/^https?:\/\//i.test(source)) {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw invalidFile(`Could not download the input file: HTTP ${response.status}`);
+        }
+        buffer = Buffer.from(await response.arrayBuffer());
+    } else {
+        const value = await keyValueStore.getValue(source);
+        if (value === null || value === undefined) {
+            throw invalidFile(`Input file "${source}" not found in the key-value store`);
+        }
+        buffer = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+    }
+
+    const sheet = await readSpreadsheet(buffer);
+    const columns = resolveColumns(sheet.headers, columnMapping);
+    if ('zip' in columns && columns.zip !== null) padZipCodes(sheet.rows, columns.zip);
+    const addresses = sheet.rows.map(row => rowAddress(row, columns));
+
+    log.info(`📑 Read ${sheet.rows.length} row(s) from ${sheet.format.toUpperCase()} input file ${source}`);
+    return { ...sheet, addresses };
+}
+
+/**
+ * Write the spreadsheet back with the result columns (replacing same-named columns) and store it
+ * `results` are in row order, one per row
+ *
+ * @returns {Promise<string>} The key-value store key of the enriched file
+ */
+async function saveSpreadsheet(sheet, results, keyValueStore, { outputFormat = null } = {}) {
+    const format = outputFormat || sheet.format;
+    const headers = [...sheet.headers];
+    const positions = RESULT_COLUMNS.map((name) => {
+        const existing = headers.findIndex(header => headerKey(header) === headerKey(name));
+        if (existing !== -1) return existing;
+        headers.push(name);
+        return headers.length - 1;
+    });
+
+    const rows = sheet.rows.map((row, index) => {
+        const result = results[index];
+        const values = [
+            result.windSpeed,
+            result.riskCategory,
+            result.coordinates?.latitude,
+            result.coordinates?.longitude,
+            result.success,
+            result.error ? `${result.error.code}: ${result.error.message}` : ''
+        ];
+
+        const cells = headers.map((header, column) => row[column] ?? '');
+        positions.forEach((column, i) => {
+            cells[column] = values[i] ?? '';
+        });
+        return cells.map(escapeFormula);
+    });
+
+    let body;
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Results');
+        worksheet.addRow(headers.map(escapeFormula));
+        worksheet.addRows(rows);
+        body = Buffer.from(await workbook.xlsx.writeBuffer());
+    } else {
+        body = toCsv([headers.map(escapeFormula), ...rows]);
+    }
+
+    await keyValueStore.setValue(OUTPUT_KEY, body, { contentType: CONTENT_TYPES[format] });
+    log.info(`📑 Enriched ${format.toUpperCase()} saved as ${OUTPUT_KEY}`);
+
+    return OUTPUT_KEY;
+}
+
+module.exports = {
+    FORMATS,
+    parseCsv,
+    toCsv,
+    readSpreadsheet,
+    resolveColumns,
+    rowAddress,
+    loadSpreadsheet,
+    saveSpreadsheet
+};
@@ -0,0 +1,64 @@
+/**
+ * Local directory storage with the subset of the Apify key-value store API the extractor uses
+ * Lets the local runner (and tests) pass a store to extractWindSpeed without the Apify platform
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// File extension per content type; anything else is written as JSON
+const EXTENSIONS = {
+    'image/png': '.png',
+    'application/pdf': '.pdf',
+    'text/html': '.html',
+    'text/plain': '.txt',
+    'text/csv': '.csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx'
+};
+
+/**
+ * Create a key-value store backed by a directory (created if missing)
+ */
+function createDirectoryStore(directory) {
+    fs.mkdirSync(directory, { recursive: true });
+
+    const filePath = (key, contentType) => path.join(directory, `${key}${EXTENSIONS[contentType] || '.json'}`);
+
+    return {
+        directory,
+
+        async setValue(key, value, { contentType } = {}) {
+            const file = filePath(key, contentType);
+
+            if (value === null) {
+                await fs.promises.rm(file, { force: true });
+                return;
+            }
+
+            const body = EXTENSIONS[contentType] ? value : JSON.stringify(value, null, 2);
+            await fs.promises.writeFile(file, body);
+        },
+
+        // JSON records are parsed; any other file (a spreadsheet dropped in the directory) is returned as a Buffer
+        async getValue(key) {
+            try {
+                return JSON.parse(await fs.promises.readFile(filePath(key), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+
+            const file = fs.readdirSync(directory).find(name => path.parse(name).name === key);
+            return file ? fs.promises.readFile(path.join(directory, file)) : null;
+        },
+
+        // Stands in for the platform's public record URL: the file the value was written to
+        getPublicUrl(key) {
+            const file = fs.readdirSync(directory).find(name => path.parse(name).name === key);
+            return file ? path.join(directory, file) : filePath(key);
+        }
+    };
+}
+
+module.exports = {
+    createDirectoryStore
+};
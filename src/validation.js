@@ -0,0 +1,119 @@
+/**
+ * Plausibility checks on extracted wind speeds
+ *
+ * A value can be read from the wrong place (the regex fallbacks match any "NNN mph" on the page), so every
+ * successful record is checked against what ASCE 7 allows for its risk category, edition and state, and the
+ * hazard data value is compared with the one the results panel shows. Problems lower the record's `confidence`
+ * and are listed in `warnings`; they don't fail the record. A coordinate lookup whose site the tool placed
+ * elsewhere is different: its values are for another place, so checkCoordinates() fails it.
+ */
+
+const { CONFIG } = require('./config');
+const { parseAddress } = require('./address');
+const { distanceMeters } = require('./geo');
+const { log } = require('./logger');
+
+// Lowest mapped basic wind speed (mph) per edition and risk category; 7-16 and 7-22 lowered the interior values
+const MIN_WIND_SPEEDS = {
+    '7-10': { I: 95, II: 105, III: 110, IV: 110 },
+    '7-16': { I: 85, II: 90, III: 95, IV: 100 },
+    '7-22': { I: 80, II: 85, III: 90, IV: 95 }
+};
+
+// Highest mapped basic wind speed (mph) per risk category, any edition (Guam and the Northern Mariana Islands)
+const MAX_WIND_SPEEDS = { I: 190, II: 210, III: 220, IV: 220 };
+
+/**
+ * Highest plausible basic wind speed (mph) per state, any edition and risk category, with some margin over
+ * the maps: hurricane coasts and territories run high, the rest of the country stays near 120 mph
+ */
+const STATE_MAX_WIND_SPEEDS = {
+    AL: 180, AK: 180, CT: 160, DE: 150, FL: 200, GA: 170, HI: 170, LA: 190, ME: 150, MD: 150, MA: 170,
+    MS: 180, NH: 150, NJ: 150, NY: 160, NC: 190, PA: 140, RI: 160, SC: 180, TX: 190, VA: 160,
+    AS: 200, GU: 220, MP: 220, PR: 200, VI: 200
+};
+const INLAND_MAX_WIND_SPEED = 140;
+
+// Extraction methods that may have matched an unrelated number on the page
+const WEAK_METHODS = ['regex', 'wind-speed-label'];
+
+/**
+ * Check the wind speeds of a successful record
+ *
+ * @param {object} result - Successful extractWindSpeed result (windSpeeds, extractionMethods, asceEdition, parsedAddress,
+ *   geocoderMatch)
+ * @param {object} options - { panelWindSpeeds } values read from the results panel per category, when the
+ *   record's values came from the hazard data
+ * @returns {{ confidence: "high"|"medium"|"low", warnings: object[] }} warnings are { check, category, message }
+ *   with check "method", "crossCheck", "range" or "state"
+ */
+function checkPlausibility(result, { panelWindSpeeds = {} } = {}) {
+    const warnings = [];
+
+    // The input address's state, or else the one of the place the geocoder matched
+    const state = result.parsedAddress?.state || (result.geocoderMatch ? parseAddress(result.geocoderMatch.label).state : null);
+    const stateMax = STATE_MAX_WIND_SPEEDS[state] || INLAND_MAX_WIND_SPEED;
+
+    for (const [category, value] of Object.entries(result.windSpeeds)) {
+        const windSpeed = Number(value);
+        const method = result.extractionMethods[category];
+        const warn = (check, message) => warnings.push({ check, category, message });
+
+        if (WEAK_METHODS.includes(method)) {
+            warn('method', `Risk Category ${category}: ${windSpeed} mph was matched in the page text (${method}) and may belong to another value`);
+        }
+
+        const panel = panelWindSpeeds[category];
+        if (panel !== undefined && panel !== null && Number(panel) !== windSpeed) {
+            warn('crossCheck', `Risk Category ${category}: the hazard data says ${windSpeed} mph but the results panel shows ${panel} mph`);
+        }
+
+        const min = MIN_WIND_SPEEDS[result.asceEdition]?.[category] ?? Math.min(...Object.values(MIN_WIND_SPEEDS).map(mins => mins[category]));
+        const max = MAX_WIND_SPEEDS[category];
+        if (windSpeed < min || windSpeed > max) {
+            warn('range', `Risk Category ${category}: ${windSpeed} mph is outside ${min}-${max} mph, the range of ASCE ${result.asceEdition || '7'} maps`);
+        }
+
+        // Special wind regions (mountains, gorges) have local values the state bound doesn't cover
+        if (state && !result.specialWindRegion && windSpeed > stateMax) {
+            warn('state', `Risk Category ${category}: ${windSpeed} mph is implausible for ${state} (expected at most ${stateMax} mph)`);
+        }
+    }
+
+    let confidence = 'high';
+    if (warnings.some(({ check }) => check !== 'method')) {
+        confidence = 'low';
+    } else if (warnings.length > 0) {
+        confidence = 'medium';
+    }
+
+    for (const { check, category, message } of warnings) log.warn(`⚠️ Plausibility: ${message}`, { check, category });
+
+    return { confidence, warnings };
+}
+
+/**
+ * Check that the tool placed a coordinate lookup's site at the supplied coordinates
+ * The coordinates go through the site's geocoder, which may snap them to a nearby match or read the pair in
+ * the other order; a site that can't be read back can't be confirmed either
+ *
+ * @param {object} requested - { latitude, longitude } supplied with the lookup
+ * @param {object|null} used - Coordinates read back from the results panel or the geocoder reply
+ * @param {object} options - { tolerance } metres the site may be off (default CONFIG.plausibility.coordinateTolerance)
+ * @returns {string|null} Why the site doesn't match, or null when it does
+ */
+function checkCoordinates(requested, used, { tolerance = CONFIG.plausibility.coordinateTolerance } = {}) {
+    if (!used) {
+        return `The tool's site location could not be read to confirm ${requested.latitude}, ${requested.longitude}`;
+    }
+
+    const distance = Math.round(distanceMeters(requested, used));
+    if (distance <= tolerance) return null;
+
+    return `The tool placed the site at ${used.latitude}, ${used.longitude}, ${distance} m from ${requested.latitude}, ${requested.longitude}`;
+}
+
+module.exports = {
+    checkPlausibility,
+    checkCoordinates
+};
@@ -0,0 +1,87 @@
+/**
+ * Webhook delivery of results
+ *
+ * Each POST carries the JSON payload, its send time in `X-Webhook-Timestamp` and, with a secret, an
+ * HMAC-SHA256 signature of `<timestamp>.<body>` in `X-Signature-256: sha256=<hex>` so the receiver can
+ * check it came from this actor and reject replays. Non-2xx answers and network errors are retried with
+ * exponential backoff; the outcome is returned for the record.
+ */
+
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+const { CONFIG } = require('./config');
+const { log } = require('./logger');
+
+const SIGNATURE_HEADER = 'X-Signature-256';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+/**
+ * Signature header value for a request: "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" with the secret
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * POST a payload to the webhook, retrying failures
+ *
+ * @param {object} webhook - { url, secret } from parseInput()
+ * @param {string} event - "record" or "batch", sent as X-Webhook-Event
+ * @param {object} payload - JSON body
+ * @param {object} options - { retries, backoff, timeout } (defaults from CONFIG.webhook)
+ * @returns {Promise<object>} { delivered, event, deliveryId, attempts, statusCode, error, deliveredAt }
+ *   (deliveryId is the X-Webhook-Delivery header, the same on every retry of a payload; the timestamp
+ *   and signature are renewed on every attempt so a retry after backoff is not stale)
+ */
+async function deliverWebhook(webhook, event, payload, options = {}) {
+    const { retries = CONFIG.webhook.retries, backoff = CONFIG.webhook.backoff, timeout = CONFIG.webhook.timeout } = options;
+    const body = JSON.stringify(payload);
+    const deliveryId = crypto.randomUUID();
+
+    let statusCode = null;
+    let error = null;
+
+    for (let attempt = 1; ; attempt++) {
+        // Unix seconds
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = {
+            'content-type': 'application/json',
+            'x-webhook-event': event,
+            'x-webhook-delivery': deliveryId,
+            [TIMESTAMP_HEADER.toLowerCase()]: timestamp
+        };
+        if (webhook.secret) {
+            headers[SIGNATURE_HEADER.toLowerCase()] = signPayload(webhook.secret, timestamp, body);
+        }
+
+        try {
+            const response = await fetch(webhook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeout) });
+            statusCode = response.status;
+            error = response.ok ? null : `HTTP ${response.status}`;
+        } catch (fetchError) {
+            statusCode = null;
+            error = fetchError.name === 'TimeoutError' ? `No response within ${timeout}ms` : fetchError.message;
+        }
+
+        if (!error) {
+            log.info(`📨 Webhook delivered (${event}, HTTP ${statusCode}, attempt ${attempt})`, { event, deliveryId, statusCode, attempt });
+            return { delivered: true, event, deliveryId, attempts: attempt, statusCode, error: null, deliveredAt: new Date().toISOString() };
+        }
+
+        if (attempt > retries) {
+            log.warn(`⚠️ Webhook not delivered after ${attempt} attempt(s): ${error}`, { event, deliveryId, statusCode, attempt, error });
+            return { delivered: false, event, deliveryId, attempts: attempt, statusCode, error, deliveredAt: null };
+        }
+
+        const wait = backoff * 2 ** (attempt - 1);
+        log.warn(`📨 Webhook attempt ${attempt}/${retries + 1} failed (${error}), retrying in ${wait}ms...`);
+        await sleep(wait);
+    }
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signPayload,
+    deliverWebhook
+};
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAddress, validateAddress, scoreCandidate, chooseCandidate } = require('../src/address');
+
+const SANFORD = '411 Crusaders Dr, Sanford, North Carolina, 27330';
+
+describe('parseAddress', () => {
+    it('splits a comma-separated address and applies USPS abbreviations', () => {
+        assert.deepEqual(parseAddress('411 Crusaders Drive, Sanford, NC 27330'), {
+            street: '411 CRUSADERS DR', unit: null, city: 'SANFORD', state: 'NC', zip: '27330',
+            normalized: '411 CRUSADERS DR, SANFORD, NC 27330'
+        });
+    });
+
+    it('recognises spelled-out states and directionals and drops the country', () => {
+        const parts = parseAddress('1600 Pennsylvania Avenue Northwest, Washington, District of Columbia, 20500-0003, USA');
+
+        assert.equal(parts.street, '1600 PENNSYLVANIA AVE NW');
+        assert.equal(parts.city, 'WASHINGTON');
+        assert.equal(parts.state, 'DC');
+        assert.equal(parts.zip, '20500');
+    });
+
+    it('only abbreviates directionals and suffixes in their USPS positions', () => {
+        assert.equal(parseAddress('100 North Main Street, Sanford, NC').street, '100 N MAIN ST');
+        assert.equal(parseAddress('12 North Street, Pittsfield, MA').street, '12 NORTH ST');
+    });
+
+    it('finds the city after the street suffix when there are no commas', () => {
+        assert.equal(parseAddress('411 crusaders dr sanford nc').normalized, '411 CRUSADERS DR, SANFORD, NC');
+    });
+
+    it('separates unit numbers', () => {
+        assert.equal(parseAddress('411 Crusaders Dr Apt 2B, Sanford, NC 27330').unit, 'APT 2B');
+        assert.equal(parseAddress('411 Crusaders Dr, Suite 200, Sanford, NC').unit, 'STE 200');
+        assert.deepEqual(parseAddress('411 Crusaders Dr #4 Sanford NC 27330'), {
+            street: '411 CRUSADERS DR', unit: '# 4', city: 'SANFORD', state: 'NC', zip: '27330',
+            normalized: '411 CRUSADERS DR # 4, SANFORD, NC 27330'
+        });
+    });
+
+    it('treats line breaks like commas', () => {
+        assert.equal(parseAddress('411 Crusaders Dr\nSanford, NC 27330').normalized, '411 CRUSADERS DR, SANFORD, NC 27330');
+    });
+});
+
+describe('validateAddress', () => {
+    it('accepts complete addresses', () => {
+        assert.deepEqual(validateAddress('411 Crusaders Drive, Sanford, NC 27330'), []);
+        assert.deepEqual(validateAddress('411 crusaders dr sanford nc'), []);
+    });
+
+    it('rejects a missing state', () => {
+        assert.deepEqual(validateAddress('411 Crusaders Dr, Sanford'), ['missing state']);
+    });
+
+    it('rejects a malformed ZIP code', () => {
+        assert.match(validateAddress('411 Crusaders Dr, Sanford, NC 2733')[0], /malformed ZIP code "2733"/);
+    });
+
+    it('rejects blank input', () => {
+        assert.deepEqual(validateAddress(' \n '), ['address is empty']);
+    });
+});
+
+describe('scoreCandidate', () => {
+    it('scores an exact match as 100 regardless of abbreviations', () => {
+        assert.equal(scoreCandidate('411 Crusaders Drive, Sanford, NC 27330', SANFORD), 100);
+        assert.equal(scoreCandidate('411 Crusaders Dr Sanford North Carolina', SANFORD), 100);
+    });
+
+    it('tolerates a one-letter typo in the street name', () => {
+        assert.equal(scoreCandidate('411 Crusader Dr, Sanford, NC', SANFORD), 100);
+    });
+
+    it('penalises a different town or street number', () => {
+        assert.equal(scoreCandidate('411 Crusaders Dr, Raleigh, NC', SANFORD), 72);
+        assert.equal(scoreCandidate('12 Crusaders Dr, Sanford, NC', SANFORD), 72);
+        assert.equal(scoreCandidate('411 Crusaders Dr, Sanford, NC 27332', SANFORD), 90);
+    });
+});
+
+describe('chooseCandidate', () => {
+    const SPRINGFIELDS = ['100 Main St, Springfield, Illinois, 62701', '100 Main St, Springfield, Missouri, 65806'];
+
+    it('picks the candidate matching the state', () => {
+        const match = chooseCandidate('100 Main St, Springfield, MO', SPRINGFIELDS, 80);
+
+        assert.equal(match.label, SPRINGFIELDS[1]);
+        assert.equal(match.index, 1);
+        assert.equal(match.ambiguous, false);
+    });
+
+    it('is ambiguous when different candidates tie', () => {
+        assert.equal(chooseCandidate('100 Main St, Springfield', SPRINGFIELDS, 80).ambiguous, true);
+    });
+
+    it('is ambiguous below the minimum score', () => {
+        const match = chooseCandidate('411 Crusaders Dr, Raleigh, NC', [SANFORD], 80);
+
+        assert.equal(match.score, 72);
+        assert.equal(match.ambiguous, true);
+    });
+
+    it('returns null without candidates', () => {
+        assert.equal(chooseCandidate('411 Crusaders Dr', [], 80), null);
+    });
+});
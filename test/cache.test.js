@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCacheKey, createCache } = require('../src/cache');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+const LOOKUP = { address: '411 Crusaders Drive, Sanford, NC 27330', coordinates: null, riskCategory: 'II', asceEdition: '7-22', hazards: ['wind'] };
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+describe('buildCacheKey', () => {
+    it('normalizes the address', () => {
+        const key = buildCacheKey(LOOKUP);
+
+        assert.equal(key, 'addr_411-CRUSADERS-DR-SANFORD-NC-27330_II_7-22');
+        assert.equal(buildCacheKey({ ...LOOKUP, address: '411 crusaders dr, sanford, north carolina 27330' }), key);
+    });
+
+    it('uses rounded coordinates when given', () => {
+        const key = buildCacheKey({ ...LOOKUP, coordinates: { latitude: 35.471912, longitude: -79.179388 } });
+
+        assert.equal(key, 'loc_35.4719_-79.1794_II_7-22');
+    });
+
+    it('separates risk categories, editions and extra hazards', () => {
+        const keys = new Set([
+            buildCacheKey(LOOKUP),
+            buildCacheKey({ ...LOOKUP, riskCategory: 'all' }),
+            buildCacheKey({ ...LOOKUP, asceEdition: null }),
+            buildCacheKey({ ...LOOKUP, hazards: ['wind', 'snow'] })
+        ]);
+
+        assert.equal(keys.size, 4);
+        assert.equal(buildCacheKey({ ...LOOKUP, hazards: ['wind', 'snow', 'ice'] }), buildCacheKey({ ...LOOKUP, hazards: ['wind', 'ice', 'snow'] }));
+    });
+
+    it('stays within the key-value store key limits', () => {
+        const key = buildCacheKey({ ...LOOKUP, address: `${'Very Long Street Name '.repeat(20)}, Sanford, NC` });
+
+        assert.ok(key.length <= 256);
+        assert.match(key, /^[a-zA-Z0-9!\-_.'()]+$/);
+    });
+});
+
+describe('createCache', () => {
+    it('returns stored results within the TTL', async () => {
+        const cache = createCache(createMemoryStore(), { ttlDays: 30 });
+        await cache.set(LOOKUP, { success: true, windSpeed: '114', timestamp: daysAgo(29) });
+
+        assert.equal((await cache.get(LOOKUP)).windSpeed, '114');
+    });
+
+    it('ignores expired entries', async () => {
+        const cache = createCache(createMemoryStore(), { ttlDays: 30 });
+        await cache.set(LOOKUP, { success: true, windSpeed: '114', timestamp: daysAgo(31) });
+
+        assert.equal(await cache.get(LOOKUP), null);
+    });
+
+    it('does not store failed lookups', async () => {
+        const store = createMemoryStore();
+        await createCache(store, { ttlDays: 30 }).set(LOOKUP, { success: false, timestamp: daysAgo(0) });
+
+        assert.equal(store.values.size, 0);
+    });
+
+    it('skips reads but still stores results when refresh is forced', async () => {
+        const store = createMemoryStore();
+        const cache = createCache(store, { ttlDays: 30, forceRefresh: true });
+        await cache.set(LOOKUP, { success: true, windSpeed: '114', timestamp: daysAgo(0) });
+
+        assert.equal(await cache.get(LOOKUP), null);
+        assert.equal(store.values.size, 1);
+    });
+
+    it('only answers report lookups from entries that have a report', async () => {
+        const cache = createCache(createMemoryStore(), { ttlDays: 30 });
+        await cache.set(LOOKUP, { success: true, windSpeed: '114', report: null, timestamp: daysAgo(0) });
+
+        assert.equal(await cache.get({ ...LOOKUP, includeReport: true }), null);
+
+        await cache.set(LOOKUP, { success: true, windSpeed: '114', report: { url: 'memory://hazard_report' }, timestamp: daysAgo(0) });
+        assert.equal((await cache.get({ ...LOOKUP, includeReport: true })).report.url, 'memory://hazard_report');
+    });
+});
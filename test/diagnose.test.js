@@ -0,0 +1,75 @@
+/**
+ * Tests for the diagnose mode site checks against the offline mock Hazard Tool
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { launchBrowser, openPage } = require('../src/browser');
+const { runDiagnostics } = require('../src/diagnose');
+const { BROWSER_SKIP } = require('./helpers/chrome');
+const { createMemoryStore } = require('./helpers/memory-store');
+const { startMockSite } = require('./helpers/mock-site');
+
+const TIMEOUTS = { element: 3000, suggestions: 2000, geocoder: 3000, dropdown: 3000, results: 5000, network: 1000 };
+
+describe('runDiagnostics (mock Hazard Tool)', { timeout: 120000, skip: BROWSER_SKIP }, () => {
+    let site;
+    let browser;
+
+    before(async () => {
+        site = await startMockSite();
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await site?.close();
+    });
+
+    async function diagnose(variant, keyValueStore = createMemoryStore()) {
+        const page = await openPage(browser);
+        try {
+            return await runDiagnostics(page, { url: site.url(variant), timeouts: TIMEOUTS, keyValueStore });
+        } finally {
+            await page.close();
+        }
+    }
+
+    it('passes when every anchor is found and the lookup works', async () => {
+        const store = createMemoryStore();
+        const report = await diagnose('default', store);
+
+        assert.equal(report.status, 'pass');
+        assert.equal(report.passed, true);
+        assert.deepEqual(report.failed, []);
+        assert.deepEqual(report.warnings, []);
+        assert.ok(report.checks.every(check => check.status === 'ok'), JSON.stringify(report.checks.filter(check => !check.passed)));
+        assert.deepEqual([...new Set(report.checks.map(check => check.stage))], ['load', 'search', 'results']);
+        assert.deepEqual(report.lookup, { success: true, windSpeed: '114', extractionMethod: 'network', error: null });
+        assert.deepEqual(report.screenshots, ['diagnose_01_loaded', 'diagnose_02_suggestions', 'diagnose_03_results']);
+        for (const key of report.screenshots) assert.ok(store.values.has(key), `missing screenshot ${key}`);
+    });
+
+    it('warns about the fallbacks a working lookup needed', async () => {
+        const report = await diagnose('no-suggestions');
+
+        assert.equal(report.status, 'warn');
+        assert.equal(report.passed, true);
+        assert.equal(report.lookup.success, true);
+        assert.equal(report.checks.find(check => check.name === 'addressSuggestions').status, 'missing');
+        assert.deepEqual(report.fallbacks.map(({ step }) => step), ['search']);
+        assert.ok(report.warnings.some(warning => /^addressSuggestions: not found/.test(warning)));
+    });
+
+    it('fails when a required anchor has drifted', async () => {
+        const report = await diagnose('changed-markup');
+
+        assert.equal(report.status, 'fail');
+        assert.equal(report.passed, false);
+        assert.ok(report.failed.includes('addressInput'));
+        assert.equal(report.checks.find(check => check.name === 'addressInputPlaceholder').status, 'ok');
+        assert.equal(report.checks.find(check => check.name === 'siteLocation').status, 'missing');
+        assert.equal(report.lookup.success, false);
+        assert.equal(report.lookup.error.code, 'SITE_LAYOUT_CHANGED');
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES, ExtractionError, toErrorRecord } = require('../src/errors');
+
+describe('toErrorRecord', () => {
+    it('keeps the code and step of extraction errors', () => {
+        const record = toErrorRecord(new ExtractionError('ADDRESS_NOT_FOUND', 'Address not found', { step: 'search' }));
+
+        assert.deepEqual(record, { code: 'ADDRESS_NOT_FOUND', message: 'Address not found', step: 'search', retryable: false });
+    });
+
+    it('classifies navigation failures as retryable', () => {
+        const timeout = new Error('Navigation timeout of 60000 ms exceeded');
+        timeout.name = 'TimeoutError';
+        timeout.step = 'navigate';
+
+        assert.equal(toErrorRecord(timeout).code, 'NAVIGATION_FAILED');
+        assert.equal(toErrorRecord(new Error('net::ERR_CONNECTION_RESET at https://ascehazardtool.org/')).code, 'NAVIGATION_FAILED');
+        assert.equal(toErrorRecord(timeout).retryable, true);
+    });
+
+    it('classifies other timeouts and browser crashes as retryable', () => {
+        const timeout = new Error('Waiting for selector failed');
+        timeout.name = 'TimeoutError';
+
+        assert.equal(toErrorRecord(timeout).code, 'TIMEOUT');
+        assert.equal(toErrorRecord(new Error('Protocol error (Runtime.callFunctionOn): Target closed.')).code, 'BROWSER_ERROR');
+        assert.equal(toErrorRecord(timeout).retryable, true);
+    });
+
+    it('classifies destroyed contexts and closed targets as retryable browser errors', () => {
+        const closed = new Error('Waiting for selector `#geocoder_input` failed');
+        closed.name = 'TargetCloseError';
+
+        for (const error of [
+            new Error('Execution context was destroyed, most likely because of a navigation.'),
+            new Error('Navigating frame was detached'),
+            new Error('Page crashed!'),
+            closed
+        ]) {
+            assert.deepEqual([toErrorRecord(error).code, toErrorRecord(error).retryable], ['BROWSER_ERROR', true], error.message);
+        }
+    });
+
+    it('treats anything else as an unknown, deterministic error', () => {
+        const record = toErrorRecord(new Error('Cannot read properties of null'));
+
+        assert.equal(record.code, 'UNKNOWN_ERROR');
+        assert.equal(record.step, null);
+        assert.equal(record.retryable, false);
+    });
+
+    it('has a description for every code', () => {
+        for (const [code, { description }] of Object.entries(ERROR_CODES)) {
+            assert.ok(description, `missing description for ${code}`);
+        }
+    });
+
+    it('documents every code in the dataset schema', () => {
+        const { error } = require('../.actor/actor.json').storages.dataset.fields.properties;
+
+        assert.deepEqual(error.properties.code.enum, Object.keys(ERROR_CODES));
+        for (const [code, { retryable, description }] of Object.entries(ERROR_CODES)) {
+            assert.ok(error.description.includes(`${code} (${retryable ? 'retried' : 'not retried'}): ${description}.`), code);
+        }
+    });
+});
@@ -0,0 +1,342 @@
+/**
+ * End-to-end tests for extractWindSpeed against the offline mock Hazard Tool
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { launchBrowser, openPage } = require('../src/browser');
+const { extractWindSpeed } = require('../src/extractor');
+const { BROWSER_SKIP } = require('./helpers/chrome');
+const { createMemoryStore } = require('./helpers/memory-store');
+const { startMockSite } = require('./helpers/mock-site');
+
+const ADDRESS = '411 Crusaders Drive, Sanford, NC 27330';
+const REPORT_KEY = 'report_addr_411-CRUSADERS-DR-SANFORD-NC-27330_II_default';
+
+// Shorter than production so failure variants (and the no-JSON fallback) don't wait out the defaults
+const TIMEOUTS = { element: 3000, suggestions: 2000, geocoder: 3000, dropdown: 3000, results: 5000, network: 1000, report: 5000 };
+
+describe('extractWindSpeed (mock Hazard Tool)', { timeout: 120000, skip: BROWSER_SKIP }, () => {
+    let site;
+    let browser;
+
+    before(async () => {
+        site = await startMockSite();
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await site?.close();
+    });
+
+    async function lookup(address, options = {}, variant = 'default') {
+        const page = await openPage(browser);
+        try {
+            return await extractWindSpeed(page, address, { debugMode: false, url: site.url(variant), timeouts: TIMEOUTS, ...options });
+        } finally {
+            await page.close();
+        }
+    }
+
+    it('extracts the wind speed from the hazard API response', async () => {
+        const result = await lookup(ADDRESS);
+
+        assert.equal(result.success, true);
+        assert.equal(result.error, null);
+        assert.equal(result.windSpeed, '114');
+        assert.deepEqual(result.windSpeeds, { II: '114' });
+        assert.equal(result.extractionMethod, 'network');
+        assert.equal(result.asceEdition, '7-22');
+        assert.deepEqual(result.coordinates, { latitude: 35.4719, longitude: -79.1794, source: 'results-panel' });
+        assert.deepEqual(result.geocoderMatch, { label: '411 Crusaders Dr, Sanford, North Carolina, 27330', score: 100, source: 'suggestions' });
+        assert.equal(result.parsedAddress.normalized, '411 CRUSADERS DR, SANFORD, NC 27330');
+        assert.equal(result.specialWindRegion, false);
+        assert.deepEqual(result.fallbacks, []);
+        assert.equal(result.confidence, 'high');
+        assert.deepEqual(result.warnings, []);
+    });
+
+    it('captures the MRI values, data source and elevation of the wind panel', async () => {
+        const { hazards } = await lookup(ADDRESS);
+
+        assert.deepEqual(hazards.wind.mri, { 10: 76, 25: 84, 50: 90, 100: 96 });
+        assert.match(hazards.wind.dataSource, /ASCE\/SEI 7-22, Fig\. 26\.5-1B/);
+        assert.equal(hazards.wind.elevation, 374.5);
+    });
+
+    it('flags a special wind region', async () => {
+        const result = await lookup(ADDRESS, {}, 'special-wind-region');
+
+        assert.equal(result.success, true);
+        assert.equal(result.specialWindRegion, true);
+        assert.match(result.hazards.wind.notes[0], /Special Wind Region/);
+    });
+
+    it('stores the downloaded hazard report PDF when asked to', async () => {
+        const keyValueStore = createMemoryStore();
+        const result = await lookup(ADDRESS, { includeReport: true, keyValueStore, screenshotPrefix: 'addr_001_' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.report.key, REPORT_KEY);
+        assert.equal(result.report.url, `memory://${REPORT_KEY}`);
+        assert.equal(result.report.source, 'download');
+        assert.equal(result.report.error, null);
+        assert.match(keyValueStore.values.get(REPORT_KEY).toString(), /^%PDF-/);
+        assert.equal(typeof result.timings.report, 'number');
+    });
+
+    it('prints the results page when the report opens the print dialog', async () => {
+        const keyValueStore = createMemoryStore();
+        const result = await lookup(ADDRESS, { includeReport: true, keyValueStore }, 'print-report');
+
+        assert.equal(result.report.source, 'print');
+        assert.equal(result.report.size, keyValueStore.values.get(REPORT_KEY).length);
+        assert.match(keyValueStore.values.get(REPORT_KEY).toString('latin1', 0, 5), /^%PDF-/);
+    });
+
+    it('stores the hazard report in the report store when given one', async () => {
+        const keyValueStore = createMemoryStore();
+        const reportStore = createMemoryStore();
+        const result = await lookup(ADDRESS, { includeReport: true, keyValueStore, reportStore, riskCategory: 'III', asceEdition: '7-16' });
+
+        assert.equal(result.report.key, 'report_addr_411-CRUSADERS-DR-SANFORD-NC-27330_III_7-16');
+        assert.ok(reportStore.values.has(result.report.key));
+        assert.equal(keyValueStore.values.has(result.report.key), false);
+    });
+
+    it('skips the hazard report by default', async () => {
+        const result = await lookup(ADDRESS);
+
+        assert.equal(result.report, null);
+        assert.equal(result.timings.report, undefined);
+    });
+
+    it('records a timing for every step', async () => {
+        const result = await lookup(ADDRESS);
+
+        for (const step of ['navigate', 'dismissModals', 'enterAddress', 'search', 'selectEdition', 'selectRiskCategory', 'selectHazards', 'viewResults', 'extract', 'total']) {
+            assert.equal(typeof result.timings[step], 'number', `missing timing for ${step}`);
+        }
+
+        assert.deepEqual(result.steps.map(({ step }) => step), [
+            'navigate', 'dismissModals', 'enterAddress', 'search', 'selectEdition', 'selectRiskCategory', 'selectHazards', 'viewResults', 'extract'
+        ]);
+        assert.ok(result.steps.every(({ outcome, durationMs }) => outcome === 'ok' && typeof durationMs === 'number'));
+    });
+
+    it('works when there is no modal or cookie banner to dismiss', async () => {
+        const result = await lookup(ADDRESS, {}, 'no-modal');
+
+        assert.equal(result.success, true);
+        assert.equal(result.windSpeed, '114');
+    });
+
+    it('falls back to the results panel when no hazard JSON is fetched', async () => {
+        const result = await lookup(ADDRESS, {}, 'no-api');
+
+        assert.equal(result.success, true);
+        assert.equal(result.windSpeed, '114');
+        assert.equal(result.extractionMethod, 'selector');
+        assert.deepEqual(result.fallbacks.map(({ step }) => step), ['extract']);
+    });
+
+    it('lowers the confidence when the results panel disagrees with the hazard data', async () => {
+        const result = await lookup(ADDRESS, {}, 'mismatched-panel');
+
+        assert.equal(result.success, true);
+        assert.equal(result.windSpeed, '114');
+        assert.equal(result.confidence, 'low');
+        assert.deepEqual(result.warnings.map(({ check, category }) => [check, category]), [['crossCheck', 'II']]);
+        assert.match(result.warnings[0].message, /hazard data says 114 mph but the results panel shows 124 mph/);
+    });
+
+    it('fails when the results panel never finishes loading', async () => {
+        const result = await lookup(ADDRESS, {}, 'stuck-loading');
+
+        assert.equal(result.success, false);
+        assert.equal(result.error.code, 'RESULTS_TIMEOUT');
+        assert.equal(result.error.step, 'viewResults');
+        assert.equal(result.error.retryable, true);
+        assert.match(result.error.message, /did not finish loading/);
+    });
+
+    it('fails when the results panel has no data', async () => {
+        const result = await lookup(ADDRESS, {}, 'no-results');
+
+        assert.equal(result.success, false);
+        assert.equal(result.windSpeed, null);
+        assert.equal(result.error.code, 'NO_RESULTS');
+        assert.equal(result.error.step, 'extract');
+        assert.match(result.error.message, /Could not extract wind speed/);
+    });
+
+    it('fails clearly when the geocoder input has been renamed', async () => {
+        const result = await lookup(ADDRESS, {}, 'changed-markup');
+
+        assert.equal(result.success, false);
+        assert.equal(result.error.code, 'SITE_LAYOUT_CHANGED');
+        assert.equal(result.error.step, 'enterAddress');
+        assert.equal(result.error.retryable, false);
+        assert.match(result.error.message, /#geocoder_input/);
+        assert.deepEqual(result.steps.at(-1), { step: 'enterAddress', durationMs: result.timings.enterAddress, outcome: 'failed', error: 'SITE_LAYOUT_CHANGED' });
+    });
+
+    it('reports a page closed while waiting for the address input as a browser error', async () => {
+        const page = await openPage(browser);
+        // Close the tab just as the address step starts looking for the input
+        const closing = new Proxy(page, {
+            get(target, property) {
+                if (property === 'waitForSelector') {
+                    return async (...args) => {
+                        await target.close();
+                        return target.waitForSelector(...args);
+                    };
+                }
+                const value = Reflect.get(target, property);
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+        try {
+            const result = await extractWindSpeed(closing, ADDRESS, { debugMode: false, url: site.url('changed-markup'), timeouts: { ...TIMEOUTS, action: 1000 } });
+
+            assert.equal(result.success, false);
+            assert.equal(result.error.code, 'BROWSER_ERROR');
+            assert.equal(result.error.step, 'enterAddress');
+            assert.equal(result.error.retryable, true);
+        } finally {
+            if (!page.isClosed()) await page.close();
+        }
+    });
+
+    it('saves the page, console and network log of a failed lookup', async () => {
+        const keyValueStore = createMemoryStore();
+        const result = await lookup(ADDRESS, { keyValueStore, captureOnFailure: true }, 'changed-markup');
+
+        const key = 'failure_addr_411-CRUSADERS-DR-SANFORD-NC-27330';
+        assert.deepEqual(result.error.artifacts, {
+            html: `${key}_html`, screenshot: `${key}_screenshot`, console: `${key}_console`, network: `${key}_network`
+        });
+        assert.match(keyValueStore.values.get(`${key}_html`), /id="search_input"/);
+        assert.ok(keyValueStore.values.get(`${key}_console`).some(({ type, text }) => type === 'error' && /#geocoder_input not found/.test(text)));
+
+        const { log } = keyValueStore.values.get(`${key}_network`);
+        assert.equal(log.version, '1.2');
+        const page = log.entries.find(({ request }) => request.url === site.url('changed-markup'));
+        assert.equal(page.response.status, 200);
+        assert.match(page.response.content.text, /Hazard Tool/);
+    });
+
+    it('saves no artifacts for a successful lookup', async () => {
+        const keyValueStore = createMemoryStore();
+        const result = await lookup(ADDRESS, { keyValueStore, captureOnFailure: true });
+
+        assert.equal(result.success, true);
+        assert.equal(keyValueStore.values.size, 0);
+    });
+
+    it('selects the requested edition and risk category', async () => {
+        const result = await lookup(ADDRESS, { asceEdition: '7-16', riskCategory: 'IV' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.asceEdition, '7-16');
+        assert.equal(result.riskCategory, 'IV');
+        assert.equal(result.windSpeed, '129');
+    });
+
+    it('fails when the requested edition is not offered', async () => {
+        const result = await lookup(ADDRESS, { asceEdition: '7-10' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error.code, 'EDITION_NOT_OFFERED');
+        assert.equal(result.error.step, 'selectEdition');
+        assert.match(result.error.message, /7-10 is not offered/);
+    });
+
+    it('reads every risk category in "all" mode', async () => {
+        const result = await lookup(ADDRESS, { riskCategory: 'all' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.windSpeed, null);
+        assert.deepEqual(result.windSpeeds, { I: '107', II: '114', III: '122', IV: '127' });
+    });
+
+    it('waits for each category\'s own results while the previous ones are still shown', async () => {
+        const result = await lookup(ADDRESS, { riskCategory: 'all' }, 'stale-panel');
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.windSpeeds, { I: '107', II: '114', III: '122', IV: '127' });
+    });
+
+    it('parses additional hazards', async () => {
+        const result = await lookup(ADDRESS, { hazards: ['wind', 'snow', 'seismic'] });
+
+        assert.equal(result.success, true);
+        assert.equal(result.hazards.snow.groundSnowLoad, 10);
+        assert.equal(result.hazards.seismic.sds, 0.221);
+        assert.equal(result.hazards.seismic.siteClass, 'D');
+    });
+
+    it('keeps the wind result when an extra hazard has no data for the site', async () => {
+        const result = await lookup(ADDRESS, { hazards: ['wind', 'snow', 'flood'] });
+
+        assert.equal(result.success, true);
+        assert.equal(result.error, null);
+        assert.equal(result.windSpeed, '114');
+        assert.equal(result.hazards.snow.groundSnowLoad, 10);
+        assert.equal(result.hazards.flood, null);
+        assert.deepEqual(result.warnings, [{ check: 'hazard', category: null, message: 'No Flood values in the results panel for this site' }]);
+    });
+
+    it('uses supplied coordinates instead of geocoding the address', async () => {
+        const result = await lookup(null, { coordinates: { latitude: 35.5, longitude: -79.2 } });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.coordinates, { latitude: 35.5, longitude: -79.2, source: 'results-panel' });
+        assert.equal(result.geocoderMatch, null);
+    });
+
+    it('fails a coordinate lookup the geocoder placed elsewhere', async () => {
+        const result = await lookup(null, { coordinates: { latitude: 35.5, longitude: -79.2 } }, 'lng-lat-geocoder');
+
+        assert.equal(result.success, false);
+        assert.equal(result.error.code, 'COORDINATES_MISMATCH');
+        assert.equal(result.error.retryable, false);
+        assert.deepEqual(result.coordinates, { latitude: -79.2, longitude: 35.5, source: 'results-panel' });
+    });
+
+    it('picks the suggestion that matches the state', async () => {
+        const result = await lookup('100 Main Street, Springfield, MO');
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.geocoderMatch, { label: '100 Main St, Springfield, Missouri, 65806', score: 100, source: 'suggestions' });
+        assert.equal(result.coordinates.latitude, 37.209);
+    });
+
+    it('searches again when the best geocoder candidate is not the first', async () => {
+        const result = await lookup('100 Main Street, Springfield, MO', {}, 'no-suggestions');
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.geocoderMatch, { label: '100 Main St, Springfield, Missouri, 65806', score: 100, source: 'geocoder-response' });
+        assert.equal(result.coordinates.latitude, 37.209);
+        assert.deepEqual(result.fallbacks.map(({ step }) => step), ['search']);
+    });
+
+    it('fails as ambiguous when candidates match equally well', async () => {
+        const result = await lookup('100 Main St, Springfield');
+
+        assert.equal(result.success, false);
+        assert.equal(result.error.code, 'AMBIGUOUS_ADDRESS');
+        assert.equal(result.error.step, 'search');
+        assert.match(result.error.message, /Illinois.*Missouri/);
+    });
+
+    it('fails as ambiguous when the only candidate is in another town', async () => {
+        const result = await lookup('411 Crusaders Dr, Raleigh, NC');
+
+        assert.equal(result.success, false);
+        assert.equal(result.error.code, 'AMBIGUOUS_ADDRESS');
+        assert.match(result.error.message, /scored 72, minimum 80/);
+        assert.equal(result.windSpeed, null);
+    });
+});
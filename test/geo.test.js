@@ -0,0 +1,9 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { distanceMeters } = require('../src/geo');
+
+describe('distanceMeters', () => {
+    it('measures short distances on the ground', () => {
+        assert.equal(Math.round(distanceMeters({ latitude: 35, longitude: -79 }, { latitude: 35.001, longitude: -79 })), 111);
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { HAZARD_TYPES } = require('../src/hazards');
+
+describe('hazard parsers', () => {
+    it('parses the basic wind speed', () => {
+        const wind = HAZARD_TYPES.wind.parse('Wind\n114 Vmph\n10-year MRI');
+
+        assert.equal(wind.windSpeed, 114);
+        assert.equal(wind.unit, 'mph');
+        assert.deepEqual(wind.mri, {});
+        assert.equal(wind.specialWindRegion, false);
+    });
+
+    it('parses the full wind panel', () => {
+        const section = [
+            'Wind', '10-year MRI', '76 Vmph', '25-year MRI 84 Vmph', 'MRI = 50-Year: 90 Vmph', '100-year MRI 96 Vmph',
+            '129 Vmph', 'Data Source: ASCE/SEI 7-22, Fig. 26.5-1B',
+            'Note: This location is in a Special Wind Region. Consult local authority.'
+        ].join('\n');
+        const wind = HAZARD_TYPES.wind.parse(section, `Elevation: 1,374.5 ft (NAVD 88)\n${section}`);
+
+        assert.deepEqual(wind, {
+            windSpeed: 129,
+            unit: 'mph',
+            mri: { 10: 76, 25: 84, 50: 90, 100: 96 },
+            dataSource: 'ASCE/SEI 7-22, Fig. 26.5-1B',
+            elevation: 1374.5,
+            elevationUnit: 'ft',
+            specialWindRegion: true,
+            notes: ['Note: This location is in a Special Wind Region. Consult local authority.']
+        });
+    });
+
+    it('does not flag a note saying the site is outside a special wind region', () => {
+        assert.equal(HAZARD_TYPES.wind.parse('Wind\n114 Vmph\nThe site is not located in a special wind region.').specialWindRegion, false);
+    });
+
+    it('parses the ground snow load', () => {
+        assert.deepEqual(HAZARD_TYPES.snow.parse('Snow\nGround Snow Load 10 lb/ft²'), { groundSnowLoad: 10, unit: 'psf' });
+    });
+
+    it('parses ice thickness with concurrent gust speed and temperature', () => {
+        const ice = HAZARD_TYPES.ice.parse('Ice\nIce Thickness: 0.75 in.\nConcurrent Temperature: 15 F\nGust Speed: 50 mph');
+
+        assert.equal(ice.iceThickness, 0.75);
+        assert.equal(ice.concurrentGustSpeed, 50);
+        assert.equal(ice.concurrentTemperature, 15);
+    });
+
+    it('parses seismic parameters without confusing SS with SMS or SDS', () => {
+        const seismic = HAZARD_TYPES.seismic.parse('Seismic\nSite Class D\nSS: 0.207\nS1: 0.083\nSMS: 0.331\nSM1: 0.2\nSDS: 0.221\nSD1: 0.133');
+
+        assert.deepEqual(seismic, { ss: 0.207, s1: 0.083, sms: 0.331, sm1: 0.2, sds: 0.221, sd1: 0.133, siteClass: 'D', unit: 'g' });
+    });
+
+    it('parses rain intensities and flood zone', () => {
+        const rain = HAZARD_TYPES.rain.parse('Rain\n15-minute Precipitation Intensity: 6.2 in/h\n60-minute Precipitation Intensity: 2.9 in/h');
+        const flood = HAZARD_TYPES.flood.parse('Flood\nFlood Zone: AE\nBase Flood Elevation: 212 ft');
+
+        assert.deepEqual(rain, { intensity15Minute: 6.2, intensity60Minute: 2.9, unit: 'in/h' });
+        assert.deepEqual(flood, { floodZone: 'AE', baseFloodElevation: 212, elevationUnit: 'ft' });
+    });
+
+    it('returns null when a section has no values', () => {
+        for (const { parse } of Object.values(HAZARD_TYPES)) {
+            assert.equal(parse('No data available for this location.'), null);
+        }
+    });
+});
@@ -0,0 +1,32 @@
+/**
+ * Whether the browser suites can run here
+ *
+ * Chrome is checked once per test file by running it with --version, which fails the same way a launch would
+ * when the executable or its shared libraries are missing. The suites pass BROWSER_SKIP as their `skip` option,
+ * so without a browser they are reported as skipped, with the reason, instead of cancelling every test.
+ */
+
+const { spawnSync } = require('child_process');
+const puppeteer = require('puppeteer');
+
+function checkBrowser() {
+    let reason;
+    try {
+        // Throws when Chrome was never downloaded to the puppeteer cache
+        const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH || puppeteer.executablePath();
+        const { status, error, stderr } = spawnSync(executablePath, ['--version'], { encoding: 'utf8', timeout: 10000 });
+        if (status === 0) return false;
+        reason = error?.message || stderr.trim().split('\n').pop() || `exit code ${status}`;
+    } catch (error) {
+        reason = error.message.split('\n')[0].replace(/\. This can occur.*$/, '');
+    }
+
+    return `Chrome cannot be launched (${reason}); install it with "npx puppeteer browsers install chrome" or set PUPPETEER_EXECUTABLE_PATH`;
+}
+
+// false, or the reason the browser suites are skipped
+const BROWSER_SKIP = checkBrowser();
+
+module.exports = {
+    BROWSER_SKIP
+};
@@ -0,0 +1,23 @@
+/**
+ * In-memory stand-in for a key-value store (getValue/setValue/getPublicUrl), with the stored values exposed for assertions
+ */
+function createMemoryStore(entries = {}) {
+    const values = new Map(Object.entries(entries));
+
+    return {
+        values,
+        async getValue(key) {
+            return values.get(key) ?? null;
+        },
+        async setValue(key, value) {
+            values.set(key, value);
+        },
+        getPublicUrl(key) {
+            return `memory://${key}`;
+        }
+    };
+}
+
+module.exports = {
+    createMemoryStore
+};
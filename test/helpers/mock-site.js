@@ -0,0 +1,152 @@
+/**
+ * Local HTTP server for the mock Hazard Tool (test/fixtures/hazard-tool.html)
+ *
+ * Serves the page plus the endpoints it calls: geocoder suggestions, geocoder candidates and a hazard data API.
+ * "Main St" addresses have two equally good candidates (Springfield, IL and MO); "nowhere" has none.
+ * Page variants:
+ *   default         - full flow, hazard data returned as JSON
+ *   no-modal        - no welcome modal or cookie banner
+ *   no-suggestions  - no suggestion list while typing; SEARCH places the geocoder's first candidate
+ *   no-results      - hazard API returns no data for the location
+ *   changed-markup  - geocoder input renamed, as after a site redesign
+ *   no-api          - hazard data returned as text/plain so only the rendered panel can be read
+ *   stuck-loading   - results panel stays on "Retrieving Data..."
+ *   flaky           - first hazard request returns no data, later ones succeed
+ *   special-wind-region - wind results carry a special wind region note
+ *   print-report    - the report button opens the print dialog instead of downloading a PDF
+ *   mismatched-panel - the results panel shows a wind speed 10 mph above the hazard API's
+ *   lng-lat-geocoder - the geocoder reads a typed coordinate pair as longitude, latitude
+ *   stale-panel     - the previous results stay in the panel, without "Retrieving Data...", until the new ones
+ *                     arrive 1.5 s later
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PAGE = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'hazard-tool.html'));
+
+// Sanford, NC - the README's example address
+const DEFAULT_LOCATION = { address: '411 Crusaders Dr, Sanford, North Carolina, 27330', x: -79.1794, y: 35.4719 };
+
+const MAIN_STREET_LOCATIONS = [
+    { address: '100 Main St, Springfield, Illinois, 62701', x: -89.6501, y: 39.8017 },
+    { address: '100 Main St, Springfield, Missouri, 65806', x: -93.2923, y: 37.2090 }
+];
+
+// Wind speeds (mph) per standard and risk level value
+const WIND_SPEEDS = {
+    'ASCE/SEI 7-22': { 1: 107, 2: 114, 3: 122, 4: 127 },
+    'ASCE/SEI 7-16': { 1: 105, 2: 115, 3: 124, 4: 129 }
+};
+
+// Smallest file a PDF reader accepts as the report download
+const REPORT_PDF = '%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n';
+
+// Serviceability wind speeds (mph) per mean recurrence interval (years), the same for every risk level
+const MRI_WIND_SPEEDS = { 10: 76, 25: 84, 50: 90, 100: 96 };
+
+function geocode(text, variant) {
+    const coordinates = text.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+    if (coordinates) {
+        const [latitude, longitude] = variant === 'lng-lat-geocoder' ? [coordinates[2], coordinates[1]] : [coordinates[1], coordinates[2]];
+        return [{ address: text, location: { x: parseFloat(longitude), y: parseFloat(latitude) }, score: 100 }];
+    }
+
+    return findLocations(text).map(({ address, x, y }) => ({ address, location: { x, y }, score: 100 }));
+}
+
+function findLocations(text) {
+    if (/nowhere/i.test(text)) return [];
+
+    if (/main st/i.test(text)) {
+        const exact = MAIN_STREET_LOCATIONS.filter(({ address }) => address === text);
+        return exact.length > 0 ? exact : MAIN_STREET_LOCATIONS;
+    }
+
+    return [DEFAULT_LOCATION];
+}
+
+function suggest(text) {
+    if (/^\s*-?\d+(?:\.\d+)?\s*,/.test(text)) return [];
+    return findLocations(text).map(({ address }) => ({ text: address, magicKey: address }));
+}
+
+function hazardData(query, requestCount) {
+    if (query.get('variant') === 'no-results') return {};
+    if (query.get('variant') === 'flaky' && requestCount === 1) return {};
+
+    const hazards = query.get('hazards').split(',');
+    const data = {
+        latitude: parseFloat(query.get('lat')).toFixed(4),
+        longitude: parseFloat(query.get('lng')).toFixed(4),
+        elevation: 374.5
+    };
+
+    if (hazards.includes('wind')) {
+        data.wind = {
+            value: WIND_SPEEDS[query.get('standard')][query.get('riskLevel')],
+            unit: 'Vmph',
+            mri: MRI_WIND_SPEEDS,
+            source: `${query.get('standard')}, Fig. 26.5-1B and Figs. CC.2-1-CC.2-4`,
+            specialWindRegion: query.get('variant') === 'special-wind-region'
+        };
+    }
+    if (hazards.includes('seismic')) {
+        data.seismic = { siteClass: 'D', ss: 0.207, s1: 0.083, sds: 0.221, sd1: 0.133 };
+    }
+    if (hazards.includes('ice')) {
+        data.ice = { thickness: 0.75, temperature: 15, gustSpeed: 50 };
+    }
+    if (hazards.includes('snow')) {
+        data.snow = { groundSnowLoad: 10 };
+    }
+
+    return data;
+}
+
+/**
+ * Start the mock site on a free port
+ * Returns { url(variant), close() }
+ */
+async function startMockSite() {
+    let hazardRequests = 0;
+
+    const server = http.createServer((request, response) => {
+        const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+
+        if (pathname === '/') {
+            response.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+            response.end(PAGE);
+        } else if (pathname === '/geocode/suggest') {
+            response.writeHead(200, { 'content-type': 'application/json' });
+            response.end(JSON.stringify({ suggestions: suggest(searchParams.get('text') || '') }));
+        } else if (pathname === '/geocode/findAddressCandidates') {
+            response.writeHead(200, { 'content-type': 'application/json' });
+            response.end(JSON.stringify({ candidates: geocode(searchParams.get('SingleLine') || '', searchParams.get('variant')) }));
+        } else if (pathname === '/api/hazards') {
+            const contentType = searchParams.get('variant') === 'no-api' ? 'text/plain' : 'application/json';
+            response.writeHead(200, { 'content-type': contentType });
+            hazardRequests++;
+            response.end(JSON.stringify(hazardData(searchParams, hazardRequests)));
+        } else if (pathname === '/api/report') {
+            response.writeHead(200, { 'content-type': 'application/pdf' });
+            response.end(REPORT_PDF);
+        } else {
+            response.writeHead(404);
+            response.end();
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: (variant = 'default') => `http://127.0.0.1:${port}/?variant=${variant}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = {
+    startMockSite
+};
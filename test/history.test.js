@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCacheKey } = require('../src/cache');
+const { detectChanges, createHistory } = require('../src/history');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+const LOOKUP = { address: '411 Crusaders Drive, Sanford, NC 27330', coordinates: null, riskCategory: 'II', asceEdition: null, hazards: ['wind'] };
+const KEY = buildCacheKey(LOOKUP);
+
+const PREVIOUS = {
+    windSpeed: '115', windSpeeds: { II: '115' }, asceEdition: '7-16',
+    coordinates: { latitude: 35.4719, longitude: -79.1794 }, timestamp: '2022-03-01T12:00:00.000Z'
+};
+
+// A successful record as runLookups leaves it, with only the fields the history reads
+function record(overrides = {}) {
+    return {
+        success: true, fromCache: false, windSpeed: '114', windSpeeds: { II: '114' }, asceEdition: '7-22',
+        coordinates: { latitude: 35.4719, longitude: -79.1794, source: 'results-panel' }, timestamp: '2026-10-18T12:00:00.000Z',
+        ...overrides
+    };
+}
+
+describe('detectChanges', () => {
+    it('reports the wind speed and edition with the old and new values', () => {
+        const changes = detectChanges(PREVIOUS, record());
+
+        assert.deepEqual(changes, {
+            changed: true,
+            previousTimestamp: PREVIOUS.timestamp,
+            fields: [
+                { field: 'windSpeed', category: 'II', previous: '115', current: '114' },
+                { field: 'asceEdition', previous: '7-16', current: '7-22' }
+            ]
+        });
+    });
+
+    it('ignores coordinates that moved less than the tolerance', () => {
+        const nearby = record({ windSpeeds: { II: '115' }, asceEdition: '7-16', coordinates: { latitude: 35.4721, longitude: -79.1794 } });
+
+        assert.deepEqual(detectChanges(PREVIOUS, nearby), { changed: false, previousTimestamp: PREVIOUS.timestamp, fields: [] });
+    });
+
+    it('reports a different geocoder match', () => {
+        const moved = record({ windSpeeds: { II: '115' }, asceEdition: '7-16', coordinates: { latitude: 35.4819, longitude: -79.1794 } });
+
+        const [change] = detectChanges(PREVIOUS, moved).fields;
+        assert.equal(change.field, 'coordinates');
+        assert.deepEqual(change.current, { latitude: 35.4819, longitude: -79.1794 });
+        assert.equal(change.distanceMeters, 1112);
+    });
+});
+
+describe('createHistory', () => {
+    it('has no changes for a property seen for the first time, and keeps it for next time', async () => {
+        const store = createMemoryStore();
+        const history = createHistory(store);
+
+        assert.equal(await history.compare(LOOKUP, record()), null);
+        assert.equal(store.values.get(KEY).windSpeed, '114');
+        assert.equal((await history.compare(LOOKUP, record())).changed, false);
+    });
+
+    it('compares with the last lookup and replaces it', async () => {
+        const store = createMemoryStore({ [KEY]: PREVIOUS });
+
+        const changes = await createHistory(store).compare(LOOKUP, record());
+
+        assert.equal(changes.changed, true);
+        assert.equal(changes.previousTimestamp, PREVIOUS.timestamp);
+        assert.equal(store.values.get(KEY).timestamp, '2026-10-18T12:00:00.000Z');
+    });
+
+    it('leaves the history alone for failed lookups and older cached records', async () => {
+        const store = createMemoryStore({ [KEY]: PREVIOUS });
+        const history = createHistory(store);
+
+        assert.equal(await history.compare(LOOKUP, { success: false }), null);
+        await history.compare(LOOKUP, record({ fromCache: true }));
+
+        assert.equal(store.values.get(KEY), PREVIOUS);
+    });
+});
@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getMode, getLogOptions, parseInput, parseServerInput, parseDiagnoseInput } = require('../src/input');
+
+describe('parseInput', () => {
+    it('combines address and addresses, dropping blanks', () => {
+        const settings = parseInput({ address: ' 1 Main St ', addresses: ['2 Main St', '', '  '] });
+
+        assert.deepEqual(settings.addresses, ['1 Main St', '2 Main St']);
+        assert.equal(settings.riskCategory, 'II');
+        assert.deepEqual(settings.hazards, ['wind']);
+    });
+
+    it('collapses line breaks and repeated spaces in addresses', () => {
+        assert.deepEqual(parseInput({ address: '411 Crusaders Dr\n  Sanford, NC' }).addresses, ['411 Crusaders Dr Sanford, NC']);
+    });
+
+    it('requires an address or coordinates', () => {
+        assert.throws(() => parseInput({}), { code: 'INVALID_INPUT', step: 'input', message: /Address is required/ });
+    });
+
+    it('accepts coordinates without an address', () => {
+        const settings = parseInput({ latitude: 35.47, longitude: -79.18 });
+
+        assert.deepEqual(settings.addresses, [null]);
+        assert.deepEqual(settings.coordinates, { latitude: 35.47, longitude: -79.18 });
+    });
+
+    it('rejects coordinates combined with a batch', () => {
+        assert.throws(() => parseInput({ addresses: ['a', 'b'], latitude: 35, longitude: -79 }), /single address/);
+    });
+
+    it('rejects invalid risk categories, editions and hazards', () => {
+        assert.throws(() => parseInput({ address: 'a', riskCategory: 'V' }), /Invalid riskCategory/);
+        assert.throws(() => parseInput({ address: 'a', asceEdition: '7-05' }), /Invalid asceEdition/);
+        assert.throws(() => parseInput({ address: 'a', hazards: ['tsunami'] }), /Unknown hazard type/);
+        assert.throws(() => parseInput({ address: 'a', maxRetries: -1 }), /Invalid maxRetries/);
+        assert.throws(() => parseInput({ address: 'a', minMatchScore: 0.8 }), /Invalid minMatchScore/);
+        assert.throws(() => parseInput({ address: 'a', cacheTtlDays: -1 }), /Invalid cacheTtlDays/);
+    });
+
+    it('always includes wind in the hazards', () => {
+        assert.deepEqual(parseInput({ address: 'a', hazards: ['snow', 'wind', 'snow'] }).hazards, ['wind', 'snow']);
+    });
+
+    it('reads the wind pressure settings with default factors', () => {
+        assert.equal(parseInput({ address: 'a' }).pressure, null);
+        assert.deepEqual(parseInput({ address: 'a', exposureCategory: 'C', meanRoofHeight: 30 }).pressure, {
+            exposure: 'C', meanRoofHeight: 30, kzt: 1, kd: 0.85, ke: 1
+        });
+    });
+
+    it('rejects incomplete or invalid wind pressure settings', () => {
+        assert.throws(() => parseInput({ address: 'a', meanRoofHeight: 30 }), /without exposureCategory/);
+        assert.throws(() => parseInput({ address: 'a', exposureCategory: 'A', meanRoofHeight: 30 }), /Invalid exposureCategory/);
+        assert.throws(() => parseInput({ address: 'a', exposureCategory: 'B' }), /Invalid meanRoofHeight/);
+        assert.throws(() => parseInput({ address: 'a', exposureCategory: 'B', meanRoofHeight: 30, kzt: 0 }), /Invalid kzt/);
+    });
+
+    it('reads the addresses from an input file instead', () => {
+        const settings = parseInput({ inputFile: 'PORTFOLIO', columnMapping: { address: 'Site' }, outputFormat: 'xlsx' });
+
+        assert.deepEqual(settings.addresses, []);
+        assert.deepEqual(settings.spreadsheet, { source: 'PORTFOLIO', columnMapping: { address: 'Site' }, outputFormat: 'xlsx' });
+        assert.throws(() => parseInput({ inputFile: 'PORTFOLIO', address: 'a' }), /cannot be combined/);
+        assert.throws(() => parseInput({ inputFile: 'PORTFOLIO', outputFormat: 'pdf' }), /Invalid outputFormat/);
+    });
+
+    it('reads the webhook settings', () => {
+        assert.equal(parseInput({ address: 'a' }).webhook, null);
+        assert.deepEqual(parseInput({ address: 'a', webhookUrl: 'https://crm.example.com/hooks/wind', webhookSecret: 's' }).webhook, {
+            url: 'https://crm.example.com/hooks/wind', secret: 's', event: 'record'
+        });
+        assert.throws(() => parseInput({ address: 'a', webhookUrl: 'ftp://example.com' }), /Invalid webhookUrl/);
+        assert.throws(() => parseInput({ address: 'a', webhookUrl: 'https://example.com', webhookEvent: 'done' }), /Invalid webhookEvent/);
+    });
+
+    it('leaves the hazard report off unless asked for', () => {
+        assert.equal(parseInput({ address: 'a' }).includeReport, false);
+        assert.equal(parseInput({ address: 'a', includeReport: true }).includeReport, true);
+    });
+
+    it('reads the name of the changes dataset', () => {
+        assert.equal(parseInput({ address: 'a' }).changesDataset, null);
+        assert.equal(parseInput({ address: 'a', changesDataset: 'wind-speed-changes' }).changesDataset, 'wind-speed-changes');
+        assert.throws(() => parseInput({ address: 'a', changesDataset: 'wind speed changes' }), /Invalid changesDataset/);
+        assert.throws(() => parseInput({ address: 'a', changesDataset: '-changes' }), /Invalid changesDataset/);
+    });
+
+    it('captures failure artifacts unless turned off', () => {
+        assert.equal(parseInput({ address: 'a' }).captureOnFailure, true);
+        assert.equal(parseInput({ address: 'a', captureOnFailure: false }).captureOnFailure, false);
+    });
+});
+
+describe('server mode input', () => {
+    it('defaults to batch mode and always serves in standby', () => {
+        assert.equal(getMode({}), 'batch');
+        assert.equal(getMode({ mode: 'server' }), 'server');
+        assert.equal(getMode({}, { standby: true }), 'server');
+        assert.throws(() => getMode({ mode: 'daemon' }), /Invalid mode/);
+    });
+
+    it('keeps the lookup fields as request defaults and drops the addresses', () => {
+        const settings = parseServerInput({ mode: 'server', address: 'a', riskCategory: 'III', poolSize: 3, changesDataset: 'changes' });
+
+        assert.deepEqual(settings, { poolSize: 3, maxQueue: 20, defaults: { riskCategory: 'III' }, changesDataset: 'changes' });
+    });
+
+    it('rejects invalid server settings and defaults', () => {
+        assert.throws(() => parseServerInput({ poolSize: 0 }), /Invalid poolSize/);
+        assert.throws(() => parseServerInput({ riskCategory: 'V' }), /Invalid riskCategory/);
+        assert.throws(() => parseServerInput({ webhookUrl: 'https://example.com/hook', webhookEvent: 'batch' }), /not supported in server mode/);
+    });
+});
+
+describe('diagnose mode input', () => {
+    it('checks a known address unless one is given', () => {
+        assert.equal(getMode({ mode: 'diagnose' }), 'diagnose');
+        assert.deepEqual(parseDiagnoseInput({ mode: 'diagnose' }), { address: '411 Crusaders Drive, Sanford, NC 27330', riskCategory: 'II', asceEdition: null });
+        assert.deepEqual(parseDiagnoseInput({ address: '1 Main St, Boston, MA', asceEdition: '7-16' }), { address: '1 Main St, Boston, MA', riskCategory: 'II', asceEdition: '7-16' });
+    });
+
+    it('rejects invalid lookup settings', () => {
+        assert.throws(() => parseDiagnoseInput({ riskCategory: 'V' }), /Invalid riskCategory/);
+    });
+});
+
+describe('logging input', () => {
+    it('defaults to text at info level, or to LOG_LEVEL and LOG_FORMAT', () => {
+        assert.deepEqual(getLogOptions({}, {}), { level: 'info', format: 'text' });
+        assert.deepEqual(getLogOptions({}, { LOG_LEVEL: 'debug', LOG_FORMAT: 'json' }), { level: 'debug', format: 'json' });
+        assert.deepEqual(getLogOptions({ logLevel: 'warn' }, { LOG_LEVEL: 'debug' }), { level: 'warn', format: 'text' });
+    });
+
+    it('rejects unknown levels and formats', () => {
+        assert.throws(() => getLogOptions({ logLevel: 'verbose' }, {}), /Invalid logLevel/);
+        assert.throws(() => getLogOptions({ logFormat: 'xml' }, {}), /Invalid logFormat/);
+    });
+});
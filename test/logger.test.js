@@ -0,0 +1,55 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { log, configureLogger, withLogContext } = require('../src/logger');
+
+describe('log', () => {
+    let lines;
+    let original;
+
+    // Capture what the logger prints instead of writing it to the test output, starting from the defaults
+    beforeEach(() => {
+        configureLogger({ level: 'info', format: 'text' });
+        lines = [];
+        original = { log: console.log, warn: console.warn, error: console.error };
+        for (const method of ['log', 'warn', 'error']) {
+            console[method] = line => lines.push({ method, line });
+        }
+    });
+
+    afterEach(() => {
+        Object.assign(console, original);
+    });
+
+    it('prints the level and the message only as text', () => {
+        log.info('✅ Extracted wind speed', { windSpeed: '114' });
+        log.warn('⚠️ Wind speed not found');
+
+        assert.deepEqual(lines, [
+            { method: 'log', line: 'INFO  ✅ Extracted wind speed' },
+            { method: 'warn', line: 'WARN  ⚠️ Wind speed not found' }
+        ]);
+    });
+
+    it('leaves out lines below the configured level', () => {
+        configureLogger({ level: 'warn' });
+        log.debug('details');
+        log.info('progress');
+        log.error('❌ failed');
+
+        assert.deepEqual(lines.map(({ line }) => line), ['ERROR ❌ failed']);
+    });
+
+    it('prints JSON lines with the fields and the context of the lookup', async () => {
+        configureLogger({ format: 'json' });
+        await withLogContext({ correlationId: 'abc' }, async () => {
+            log.info('⏱️ navigate: 120ms', { step: 'navigate', durationMs: 120 });
+        });
+        log.info('📊 Run summary');
+
+        const [{ time, ...inside }, outside] = lines.map(({ line }) => JSON.parse(line));
+        assert.equal(typeof time, 'string');
+        assert.deepEqual(inside, { level: 'info', msg: 'navigate: 120ms', correlationId: 'abc', step: 'navigate', durationMs: 120 });
+        assert.equal(outside.msg, 'Run summary');
+        assert.equal(outside.correlationId, undefined);
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { percentile, createRunMetrics } = require('../src/metrics');
+
+// A record as runLookups leaves it, with only the fields the metrics read
+function record({ success = true, fromCache = false, code = null, steps = [], changed = false } = {}) {
+    return { success, fromCache, attempts: fromCache ? 0 : 1, error: code ? { code } : null, steps, changes: success ? { changed } : null };
+}
+
+describe('percentile', () => {
+    it('takes the nearest rank', () => {
+        const values = Array.from({ length: 20 }, (_, index) => index + 1);
+
+        assert.equal(percentile(values, 95), 19);
+        assert.equal(percentile(values, 50), 10);
+        assert.equal(percentile([7], 95), 7);
+        assert.equal(percentile([], 95), null);
+    });
+});
+
+describe('createRunMetrics', () => {
+    it('summarizes counts, success rate and lookup times', () => {
+        const metrics = createRunMetrics();
+        metrics.record(record(), 1000);
+        metrics.record(record({ changed: true }), 3000);
+        metrics.record(record({ success: false, code: 'NO_RESULTS' }), 2000);
+        metrics.record(record({ fromCache: true }), 5);
+
+        const summary = metrics.summary();
+
+        assert.equal(summary.total, 4);
+        assert.equal(summary.succeeded, 3);
+        assert.equal(summary.failed, 1);
+        assert.equal(summary.fromCache, 1);
+        assert.equal(summary.changed, 1);
+        assert.equal(summary.successRate, 0.75);
+        assert.deepEqual(summary.lookupTime, { count: 3, averageMs: 2000, p95Ms: 3000 });
+        assert.deepEqual(summary.errors, { NO_RESULTS: 1 });
+    });
+
+    it('combines the steps of every risk category', () => {
+        const metrics = createRunMetrics();
+        metrics.record(record({
+            steps: [
+                { step: 'viewResults_II', durationMs: 100, outcome: 'ok' },
+                { step: 'viewResults_III', durationMs: 300, outcome: 'failed' }
+            ]
+        }), 500);
+
+        assert.deepEqual(metrics.summary().steps, { viewResults: { count: 2, averageMs: 200, p95Ms: 300, failed: 1 } });
+    });
+
+    it('averages every lookup but keeps only the most recent durations for the p95', () => {
+        const metrics = createRunMetrics({ maxSamples: 2 });
+        for (const durationMs of [9000, 1000, 2000]) metrics.record(record(), durationMs);
+
+        assert.deepEqual(metrics.summary().lookupTime, { count: 3, averageMs: 4000, p95Ms: 2000 });
+    });
+
+    it('has no rates or times before the first lookup', () => {
+        const summary = createRunMetrics().summary();
+
+        assert.equal(summary.total, 0);
+        assert.equal(summary.successRate, null);
+        assert.deepEqual(summary.lookupTime, { count: 0, averageMs: null, p95Ms: null });
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findWindSpeedInPayload, findHazardWindSpeed, parseGeocoderCoordinates, getGeocoderCandidates } = require('../src/network');
+
+describe('findWindSpeedInPayload', () => {
+    it('finds a value under a wind key', () => {
+        assert.deepEqual(findWindSpeedInPayload({ data: { wind: { value: 114, unit: 'Vmph' } } }), { windSpeed: '114', unit: 'Vmph' });
+    });
+
+    it('finds a value next to a wind label', () => {
+        assert.deepEqual(findWindSpeedInPayload({ data: [{ type: 'wind', values: [{ v: '121' }] }] }), { windSpeed: '121', unit: 'mph' });
+    });
+
+    it('skips serviceability (MRI) values', () => {
+        assert.deepEqual(findWindSpeedInPayload({ wind: { mri10: { value: 80 }, value: 115 } }), { windSpeed: '115', unit: 'mph' });
+    });
+
+    it('skips values labelled as serviceability (MRI) values', () => {
+        const payload = { wind: [{ label: '10-year MRI', value: 76 }, { label: 'Basic wind speed', value: 115 }] };
+        assert.deepEqual(findWindSpeedInPayload(payload), { windSpeed: '115', unit: 'mph' });
+
+        const returnPeriods = { wind: [{ label: '50-year MRI', value: 90 }, { name: '100 year return period', value: 96 }, { label: 'Vult', value: 115 }] };
+        assert.deepEqual(findWindSpeedInPayload(returnPeriods), { windSpeed: '115', unit: 'mph' });
+    });
+
+    it('ignores wind-related numbers below any mapped wind speed', () => {
+        assert.equal(findWindSpeedInPayload({ layer: { title: 'Wind Speed map', speed: 60 } }), null);
+    });
+
+    it('ignores numbers outside a wind context', () => {
+        assert.equal(findWindSpeedInPayload({ elevation: { value: 300, unit: 'ft' } }), null);
+        assert.equal(findWindSpeedInPayload(null), null);
+    });
+});
+
+describe('findHazardWindSpeed', () => {
+    it('only reads hazard API responses', () => {
+        const responses = [
+            { url: 'https://tiles.example.com/arcgis/rest/services/WindSpeed/MapServer?f=json', payload: { layer: { title: 'Wind Speed map', speed: 160 } } },
+            { url: 'https://geocode.arcgis.com/arcgis/rest/services/World/GeocodeServer/findAddressCandidates', payload: { wind_speed: 99 } },
+            { url: 'http://127.0.0.1:4000/api/hazards?lat=35.47&lng=-79.18', payload: { wind: { value: 114, unit: 'Vmph' } } }
+        ];
+
+        assert.deepEqual(findHazardWindSpeed(responses), { windSpeed: '114', unit: 'Vmph', url: responses[2].url });
+        assert.equal(findHazardWindSpeed(responses.slice(0, 2)), null);
+    });
+});
+
+describe('parseGeocoderCoordinates', () => {
+    it('reads ArcGIS candidates', () => {
+        assert.deepEqual(parseGeocoderCoordinates({ candidates: [{ location: { x: -79.18, y: 35.47 } }] }), { latitude: 35.47, longitude: -79.18 });
+    });
+
+    it('reads GeoJSON features as [longitude, latitude]', () => {
+        assert.deepEqual(parseGeocoderCoordinates({ features: [{ geometry: { coordinates: [-79.18, 35.47] } }] }), { latitude: 35.47, longitude: -79.18 });
+    });
+
+    it('returns null without a candidate', () => {
+        assert.equal(parseGeocoderCoordinates({ candidates: [] }), null);
+    });
+});
+
+describe('getGeocoderCandidates', () => {
+    it('lists candidate labels in geocoder order', () => {
+        const payload = { candidates: [{ address: '100 Main St, Springfield, Illinois' }, { address: '100 Main St, Springfield, Missouri' }] };
+
+        assert.deepEqual(getGeocoderCandidates(payload), ['100 Main St, Springfield, Illinois', '100 Main St, Springfield, Missouri']);
+    });
+
+    it('reads GeoJSON feature labels and skips unlabelled entries', () => {
+        assert.deepEqual(getGeocoderCandidates({ features: [{ properties: { label: 'Sanford, NC' } }, { properties: {} }] }), ['Sanford, NC']);
+        assert.deepEqual(getGeocoderCandidates(null), []);
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Page pool used by server mode: warm pages, queueing when all are busy, fresh pages after use
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { launchBrowser } = require('../src/browser');
+const { createPagePool } = require('../src/pool');
+const { BROWSER_SKIP } = require('./helpers/chrome');
+
+describe('createPagePool', { timeout: 60000, skip: BROWSER_SKIP }, () => {
+    let browser;
+
+    before(async () => {
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+    });
+
+    it('opens its pages ahead of time', async () => {
+        const pool = createPagePool(async () => browser, { size: 2 });
+        assert.equal(pool.stats().ready, false);
+
+        await pool.warm();
+
+        assert.deepEqual(pool.stats(), { size: 2, idle: 2, busy: 0, waiting: 0, ready: true });
+        await pool.close();
+    });
+
+    it('queues callers while every page is busy', async () => {
+        const pool = createPagePool(async () => browser, { size: 1 });
+        await pool.warm();
+
+        const first = await pool.acquire();
+        let second = null;
+        const waiting = pool.acquire().then((page) => {
+            second = page;
+            return page;
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(second, null);
+        assert.equal(pool.stats().waiting, 1);
+
+        await pool.release(first);
+        await waiting;
+
+        // The page is replaced rather than handed on, so nothing leaks between lookups
+        assert.equal(first.isClosed(), true);
+        assert.notEqual(second, first);
+        assert.deepEqual(pool.stats(), { size: 1, idle: 0, busy: 1, waiting: 0, ready: true });
+
+        await pool.release(second);
+        await pool.close();
+    });
+
+    it('fails waiting callers when no page can be opened', async () => {
+        const pool = createPagePool(async () => {
+            throw new Error('browser crashed');
+        }, { size: 1 });
+
+        await assert.rejects(pool.acquire(), /browser crashed/);
+        await pool.close();
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { exposureCoefficient, velocityPressure, calculateWindPressure } = require('../src/pressure');
+
+// Kz as tabulated in ASCE 7-16 Table 26.10-1, per exposure and height (ft)
+const KZ_7_16 = {
+    B: { 15: 0.57, 30: 0.70, 60: 0.85 },
+    C: { 15: 0.85, 30: 0.98, 60: 1.14 },
+    D: { 15: 1.03, 30: 1.16, 60: 1.31 }
+};
+
+describe('exposureCoefficient', () => {
+    it('matches the ASCE 7-16 table', () => {
+        for (const [exposure, heights] of Object.entries(KZ_7_16)) {
+            for (const [z, kz] of Object.entries(heights)) {
+                assert.ok(Math.abs(exposureCoefficient(Number(z), exposure, '7-16') - kz) < 0.01, `Kz ${exposure} at ${z} ft`);
+            }
+        }
+    });
+
+    it('uses the recalibrated ASCE 7-22 constants', () => {
+        assert.ok(Math.abs(exposureCoefficient(15, 'C', '7-22') - 0.85) < 0.01);
+        assert.ok(Math.abs(exposureCoefficient(30, 'C', '7-22') - 0.98) < 0.01);
+        assert.notEqual(exposureCoefficient(30, 'B', '7-22'), exposureCoefficient(30, 'B', '7-16'));
+    });
+
+    it('holds heights between 15 ft and the gradient height', () => {
+        assert.equal(exposureCoefficient(8, 'B', '7-16'), exposureCoefficient(15, 'B', '7-16'));
+        assert.equal(exposureCoefficient(5000, 'C', '7-16'), 2.01);
+        assert.equal(exposureCoefficient(5000, 'C', '7-22'), 2.41);
+    });
+});
+
+describe('velocityPressure', () => {
+    it('computes qz = 0.00256 Kz Kzt Kd Ke V^2 for ASCE 7-16', () => {
+        // V = 115 mph, exposure C, z = 30 ft, Kd 0.85: 0.00256 x 0.982 x 0.85 x 115^2 = 28.27 psf
+        const qz = velocityPressure(115, 30, { exposure: 'C', edition: '7-16', kzt: 1, kd: 0.85, ke: 1 });
+        assert.equal(qz.toFixed(2), '28.27');
+
+        const reduced = velocityPressure(115, 30, { exposure: 'C', edition: '7-16', kzt: 1, kd: 0.85, ke: 0.9 });
+        assert.equal((reduced / qz).toFixed(2), '0.90');
+    });
+
+    it('leaves Ke out for ASCE 7-10 and Kd out for ASCE 7-22', () => {
+        const options = { exposure: 'C', kzt: 1, kd: 0.85, ke: 0.9 };
+
+        assert.equal(velocityPressure(115, 30, { ...options, edition: '7-10' }), velocityPressure(115, 30, { ...options, edition: '7-16', ke: 1 }));
+        // V = 114 mph, exposure C, z = 15 ft: 0.00256 x 0.851 x 0.9 x 114^2 = 25.49 psf
+        assert.equal(velocityPressure(114, 15, { ...options, edition: '7-22' }).toFixed(2), '25.49');
+    });
+
+    it('scales with Kzt', () => {
+        const flat = velocityPressure(115, 30, { exposure: 'B', edition: '7-16' });
+        const hill = velocityPressure(115, 30, { exposure: 'B', edition: '7-16', kzt: 1.2 });
+
+        assert.equal((hill / flat).toFixed(2), '1.20');
+    });
+});
+
+describe('calculateWindPressure', () => {
+    const OPTIONS = { exposure: 'C', meanRoofHeight: 32, kzt: 1, kd: 0.85, ke: 1 };
+
+    it('reports qh, the coefficients used and the qz profile', () => {
+        const pressure = calculateWindPressure({ asceEdition: '7-22', windSpeed: '114', windSpeeds: { II: '114' } }, OPTIONS);
+
+        assert.equal(pressure.equation, 'qz = 0.00256 Kz Kzt Ke V^2');
+        assert.deepEqual(pressure.coefficients, { kh: 0.993, kzt: 1, kd: 0.85, ke: 1, alpha: 9.8, zg: 2460 });
+        assert.equal(pressure.qh, 33.05);
+        assert.deepEqual(pressure.qz.map(point => point.z), [15, 20, 25, 30, 32]);
+        assert.equal(pressure.qz.at(-1).qz, pressure.qh);
+    });
+
+    it('computes qh and qz for every risk category read in "all" mode', () => {
+        const result = { asceEdition: '7-16', windSpeed: null, windSpeeds: { I: '105', II: '115', III: '124', IV: '129' } };
+        const pressure = calculateWindPressure(result, OPTIONS);
+        const single = calculateWindPressure({ asceEdition: '7-16', windSpeed: '115', windSpeeds: { II: '115' } }, OPTIONS);
+
+        assert.deepEqual(Object.keys(pressure.qhByCategory), ['I', 'II', 'III', 'IV']);
+        assert.equal(pressure.qhByCategory.II, single.qh);
+        assert.deepEqual(pressure.qzByCategory.II, single.qz);
+        assert.ok(pressure.qhByCategory.IV > pressure.qhByCategory.III);
+        assert.equal(pressure.windSpeed, null);
+        assert.equal(pressure.qh, null);
+        assert.equal(pressure.qz, null);
+    });
+
+    it('returns null without an edition or wind speed', () => {
+        assert.equal(calculateWindPressure({ asceEdition: null, windSpeed: '114', windSpeeds: { II: '114' } }, OPTIONS), null);
+        assert.equal(calculateWindPressure({ asceEdition: '7-22', windSpeed: null, windSpeeds: {} }, OPTIONS), null);
+    });
+});
@@ -0,0 +1,241 @@
+/**
+ * Retry behaviour of extractWithRetry against the offline mock Hazard Tool, and the lookups
+ * runLookups answers without a browser (cache hits, invalid addresses)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { launchBrowser } = require('../src/browser');
+const { buildCacheKey } = require('../src/cache');
+const { parseInput } = require('../src/input');
+const { createRunMetrics } = require('../src/metrics');
+const { createPagePool } = require('../src/pool');
+const { extractWithRetry, runLookups } = require('../src/runner');
+const { BROWSER_SKIP } = require('./helpers/chrome');
+const { createMemoryStore } = require('./helpers/memory-store');
+const { startMockSite } = require('./helpers/mock-site');
+
+const TIMEOUTS = { element: 3000, suggestions: 2000, geocoder: 3000, dropdown: 3000, results: 5000, network: 1000 };
+
+const ADDRESS = '411 Crusaders Drive, Sanford, NC 27330';
+const CACHE_KEY = buildCacheKey({ address: ADDRESS, riskCategory: 'II', asceEdition: null, hazards: ['wind'] });
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Fails the test if a lookup reaches the browser
+async function noBrowser() {
+    throw new Error('browser should not be launched');
+}
+
+describe('extractWithRetry (mock Hazard Tool)', { timeout: 120000, skip: BROWSER_SKIP }, () => {
+    let browser;
+
+    before(async () => {
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+    });
+
+    async function lookup(address, variant) {
+        // Fresh site per test so request counters (flaky variant) start from zero
+        const site = await startMockSite();
+        try {
+            return await extractWithRetry(browser, address, {
+                debugMode: false,
+                url: site.url(variant),
+                timeouts: TIMEOUTS,
+                retries: 2,
+                retryBackoff: 100
+            });
+        } finally {
+            await site.close();
+        }
+    }
+
+    it('retries a blank results panel and records the failed attempt', async () => {
+        const result = await lookup(ADDRESS, 'flaky');
+
+        assert.equal(result.success, true);
+        assert.equal(result.windSpeed, '114');
+        assert.equal(result.attempts, 2);
+        assert.equal(result.attemptErrors.length, 1);
+        assert.equal(result.attemptErrors[0].attempt, 1);
+        assert.equal(result.attemptErrors[0].code, 'NO_RESULTS');
+    });
+
+    it('does not retry an address the geocoder cannot find', async () => {
+        const result = await lookup('1 Nowhere Lane, Atlantis, ZZ 00000', 'default');
+
+        assert.equal(result.success, false);
+        assert.equal(result.attempts, 1);
+        assert.equal(result.error.code, 'ADDRESS_NOT_FOUND');
+        assert.equal(result.error.step, 'search');
+        assert.deepEqual(result.attemptErrors, [{ attempt: 1, ...result.error }]);
+    });
+
+    it('gives up after the configured retries', async () => {
+        const result = await lookup(ADDRESS, 'no-results');
+
+        assert.equal(result.success, false);
+        assert.equal(result.attempts, 3);
+        assert.equal(result.attemptErrors.length, 3);
+    });
+
+    it('takes attempt pages from a pool and gives them back', async () => {
+        const site = await startMockSite();
+        const pool = createPagePool(async () => browser, { size: 1 });
+        try {
+            await pool.warm();
+            const result = await extractWithRetry(null, ADDRESS, {
+                debugMode: false, url: site.url('default'), timeouts: TIMEOUTS, retries: 0, pool
+            });
+
+            assert.equal(result.success, true);
+            assert.deepEqual(pool.stats(), { size: 1, idle: 1, busy: 0, waiting: 0, ready: true });
+        } finally {
+            await pool.close();
+            await site.close();
+        }
+    });
+});
+
+describe('runLookups without the browser', () => {
+    it('answers cached addresses without launching a browser', async () => {
+        const original = { address: '411 Crusaders Dr, Sanford, NC', success: true, windSpeed: '114', timestamp: daysAgo(3), attempts: 1 };
+        const cacheStore = createMemoryStore({ [CACHE_KEY]: original });
+        const settings = parseInput({ address: ADDRESS, debugScreenshots: false });
+
+        const [result] = await runLookups(noBrowser, settings, { keyValueStore: null, cacheStore });
+
+        assert.equal(result.fromCache, true);
+        assert.equal(result.windSpeed, '114');
+        assert.equal(result.timestamp, original.timestamp);
+        assert.equal(result.address, ADDRESS);
+        assert.equal(result.attempts, 0);
+    });
+
+    it('gives each record a correlation id and records it in the run metrics', async () => {
+        const cacheStore = createMemoryStore({ [CACHE_KEY]: { success: true, windSpeed: '114', timestamp: daysAgo(3), correlationId: 'earlier-run' } });
+        const settings = parseInput({ addresses: ['411 Crusaders Dr, Sanford', ADDRESS], debugScreenshots: false });
+        const metrics = createRunMetrics();
+
+        const [invalid, cached] = await runLookups(noBrowser, settings, { keyValueStore: null, cacheStore, metrics });
+
+        assert.match(invalid.correlationId, /^[0-9a-f-]{36}$/);
+        assert.match(cached.correlationId, /^[0-9a-f-]{36}$/);
+        assert.notEqual(invalid.correlationId, cached.correlationId);
+
+        const summary = metrics.summary();
+        assert.equal(summary.total, 2);
+        assert.equal(summary.succeeded, 1);
+        assert.equal(summary.fromCache, 1);
+        assert.deepEqual(summary.errors, { INVALID_INPUT: 1 });
+    });
+
+    it('adds velocity pressures to cached records', async () => {
+        const original = { success: true, windSpeed: '115', windSpeeds: { II: '115' }, asceEdition: '7-16', timestamp: daysAgo(3) };
+        const cacheStore = createMemoryStore({ [CACHE_KEY]: original });
+        const settings = parseInput({ address: ADDRESS, debugScreenshots: false, exposureCategory: 'C', meanRoofHeight: 30 });
+
+        const [result] = await runLookups(noBrowser, settings, { keyValueStore: null, cacheStore });
+
+        assert.equal(result.fromCache, true);
+        assert.equal(result.windPressure.qh, 28.27);
+        assert.equal(result.windPressure.exposureCategory, 'C');
+    });
+
+    it('reports what changed since the last lookup of the property', async () => {
+        const cacheStore = createMemoryStore({ [CACHE_KEY]: { success: true, windSpeed: '114', windSpeeds: { II: '114' }, asceEdition: '7-22', timestamp: daysAgo(3) } });
+        const previous = { windSpeed: '120', windSpeeds: { II: '120' }, asceEdition: '7-22', coordinates: null, timestamp: daysAgo(900) };
+        const historyStore = createMemoryStore({ [CACHE_KEY]: previous });
+        const settings = parseInput({ address: ADDRESS, debugScreenshots: false });
+
+        const [result] = await runLookups(noBrowser, settings, { keyValueStore: null, cacheStore, historyStore });
+
+        assert.deepEqual(result.changes, {
+            changed: true,
+            previousTimestamp: previous.timestamp,
+            fields: [{ field: 'windSpeed', category: 'II', previous: '120', current: '114' }]
+        });
+    });
+
+    it('posts each record to the webhook and records the delivery', async () => {
+        const received = [];
+        const receiver = http.createServer(async (request, response) => {
+            let body = '';
+            for await (const chunk of request) body += chunk;
+            received.push(JSON.parse(body));
+            response.end();
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const cacheStore = createMemoryStore({ [CACHE_KEY]: { success: true, windSpeed: '114', timestamp: daysAgo(3) } });
+            const settings = parseInput({
+                address: ADDRESS, debugScreenshots: false, webhookUrl: `http://127.0.0.1:${receiver.address().port}/`, webhookSecret: 'x'
+            });
+
+            const [result] = await runLookups(noBrowser, settings, { keyValueStore: null, cacheStore });
+
+            assert.equal(received.length, 1);
+            assert.equal(received[0].windSpeed, '114');
+            assert.equal(received[0].address, ADDRESS);
+            assert.equal(result.webhook.delivered, true);
+            assert.equal(result.webhook.event, 'record');
+        } finally {
+            await new Promise(resolve => receiver.close(resolve));
+        }
+    });
+
+    it('looks up the next address while a record webhook is still being delivered', async () => {
+        // Holds every answer until all three records have been posted (or 3 s have passed)
+        const held = [];
+        const receiver = http.createServer((request, response) => {
+            held.push(response);
+            if (held.length === 3) held.forEach(pending => pending.end());
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        const release = setTimeout(() => held.forEach(pending => pending.end()), 3000);
+
+        try {
+            const cacheStore = createMemoryStore({ [CACHE_KEY]: { success: true, windSpeed: '114', timestamp: daysAgo(3) } });
+            const settings = parseInput({
+                addresses: ['411 Crusaders Dr, Sanford', 'Crusaders Dr', ADDRESS],
+                debugScreenshots: false,
+                webhookUrl: `http://127.0.0.1:${receiver.address().port}/`
+            });
+            const saved = [];
+
+            const startedAt = Date.now();
+            const results = await runLookups(noBrowser, settings, {
+                keyValueStore: null, cacheStore, onResult: async (result) => saved.push([result.address, result.webhook?.delivered])
+            });
+
+            assert.ok(Date.now() - startedAt < 2500, 'the deliveries overlapped');
+            assert.deepEqual(saved, [['411 Crusaders Dr, Sanford', true], ['Crusaders Dr', true], [ADDRESS, true]]);
+            assert.ok(results.every(result => result.webhook.delivered && result.webhook.attempts === 1));
+        } finally {
+            clearTimeout(release);
+            await new Promise(resolve => receiver.close(resolve));
+        }
+    });
+
+    it('rejects invalid addresses without a lookup and keeps going', async () => {
+        const cacheStore = createMemoryStore({ [CACHE_KEY]: { success: true, windSpeed: '114', timestamp: daysAgo(3) } });
+        const settings = parseInput({ addresses: ['411 Crusaders Dr, Sanford', ADDRESS], debugScreenshots: false });
+
+        const [invalid, cached] = await runLookups(noBrowser, settings, { keyValueStore: null, cacheStore });
+
+        assert.equal(invalid.success, false);
+        assert.deepEqual(invalid.error, {
+            code: 'INVALID_INPUT', message: 'Invalid address "411 Crusaders Dr, Sanford": missing state', step: 'input', retryable: false
+        });
+        assert.equal(invalid.parsedAddress.city, 'SANFORD');
+        assert.equal(cached.fromCache, true);
+    });
+});
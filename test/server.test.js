@@ -0,0 +1,206 @@
+/**
+ * Server mode HTTP API, answered from the cache so no browser is needed
+ */
+
+const http = require('node:http');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCacheKey } = require('../src/cache');
+const { createServer, queryToInput } = require('../src/server');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+const ADDRESS = '411 Crusaders Drive, Sanford, NC 27330';
+const UNCACHED = '1 Main St, Boston, MA 02108';
+const CACHE_KEY = buildCacheKey({ address: ADDRESS, riskCategory: 'II', asceEdition: null, hazards: ['wind'] });
+const CACHED = { success: true, windSpeed: '114', windSpeeds: { II: '114' }, asceEdition: '7-22', timestamp: new Date().toISOString() };
+
+// Page that fails every call as an unreachable site would, so a lookup that gets one ends quickly
+const UNREACHABLE_PAGE = new Proxy({}, {
+    get: (target, name) => {
+        if (name === 'then') return undefined;
+        if (name === 'on' || name === 'off') return () => {};
+        return async () => {
+            throw new Error('net::ERR_CONNECTION_REFUSED at https://ascehazardtool.org/');
+        };
+    }
+});
+
+// Stands in for the page pool; lookups that reach it fail the test
+function createFakePool(stats = {}) {
+    return {
+        stats: () => ({ size: 1, idle: 1, busy: 0, waiting: 0, ready: true, ...stats }),
+        acquire: async () => {
+            throw new Error('lookup should have been answered from the cache');
+        },
+        release: async () => {}
+    };
+}
+
+describe('createServer', () => {
+    let server;
+    let baseUrl;
+    let pool;
+    const saved = [];
+
+    before(async () => {
+        pool = createFakePool();
+        server = createServer({ stats: () => pool.stats(), acquire: () => pool.acquire(), release: page => pool.release(page) }, {
+            defaults: { riskCategory: 'II' },
+            maxQueue: 2,
+            keyValueStore: createMemoryStore(),
+            cacheStore: createMemoryStore({ [CACHE_KEY]: CACHED }),
+            onResult: async (result) => {
+                saved.push(result);
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('answers GET /wind with the lookup record', async () => {
+        const response = await fetch(`${baseUrl}/wind?address=${encodeURIComponent(ADDRESS)}`);
+        const record = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(record.address, ADDRESS);
+        assert.equal(record.windSpeed, '114');
+        assert.equal(record.fromCache, true);
+        assert.equal(saved.at(-1).address, ADDRESS);
+    });
+
+    it('answers POST /wind/batch with one record per address', async () => {
+        const response = await fetch(`${baseUrl}/wind/batch`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ addresses: [ADDRESS, '411 Crusaders Dr, Sanford'] })
+        });
+        const records = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(records.length, 2);
+        assert.equal(records[0].windSpeed, '114');
+        assert.equal(records[1].error.code, 'INVALID_INPUT');
+    });
+
+    it('rejects invalid requests with 400', async () => {
+        const missing = await fetch(`${baseUrl}/wind`);
+        assert.equal(missing.status, 400);
+        assert.equal((await missing.json()).error.code, 'INVALID_INPUT');
+
+        const badJson = await fetch(`${baseUrl}/wind/batch`, { method: 'POST', body: '{' });
+        assert.equal(badJson.status, 400);
+        assert.match((await badJson.json()).error.message, /not valid JSON/);
+    });
+
+    it('turns lookups away when the queue is full', async () => {
+        const idle = pool;
+        pool = createFakePool({ idle: 0, busy: 1, waiting: 2 });
+        try {
+            const response = await fetch(`${baseUrl}/wind?address=${encodeURIComponent(UNCACHED)}`);
+
+            assert.equal(response.status, 503);
+            assert.equal((await response.json()).error.code, 'SERVER_BUSY');
+
+            const cached = await fetch(`${baseUrl}/wind?address=${encodeURIComponent(ADDRESS)}`);
+            assert.equal(cached.status, 200);
+            assert.equal((await cached.json()).fromCache, true);
+        } finally {
+            pool = idle;
+        }
+    });
+
+    it('gives idle pages to lookups even with maxQueue 0', async () => {
+        let acquired = 0;
+        const idleServer = createServer({
+            stats: () => ({ size: 2, idle: 2, busy: 0, waiting: 0, ready: true }),
+            acquire: async () => {
+                acquired++;
+                return UNREACHABLE_PAGE;
+            },
+            release: async () => {}
+        }, { maxQueue: 0, keyValueStore: createMemoryStore(), cacheStore: createMemoryStore() });
+        await new Promise(resolve => idleServer.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const query = new URLSearchParams({ address: UNCACHED, maxRetries: '0' });
+            const response = await fetch(`http://127.0.0.1:${idleServer.address().port}/wind?${query}`);
+            const record = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.equal(acquired, 1);
+            assert.equal(record.error.code, 'NAVIGATION_FAILED');
+        } finally {
+            await new Promise(resolve => idleServer.close(resolve));
+        }
+    });
+
+    it('reports health and readiness', async () => {
+        const health = await fetch(`${baseUrl}/health`);
+        assert.equal(health.status, 200);
+        assert.equal((await health.json()).pool.size, 1);
+
+        assert.equal((await fetch(`${baseUrl}/ready`)).status, 200);
+
+        const cold = pool;
+        pool = createFakePool({ idle: 0, ready: false });
+        try {
+            assert.equal((await fetch(`${baseUrl}/ready`)).status, 503);
+        } finally {
+            pool = cold;
+        }
+    });
+});
+
+describe('createServer webhooks', () => {
+    let server;
+    let receiver;
+    let baseUrl;
+    let hookUrl;
+    const received = [];
+
+    before(async () => {
+        receiver = http.createServer((request, response) => {
+            received.push(request.url);
+            request.resume();
+            request.on('end', () => response.end());
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        hookUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+        server = createServer(createFakePool(), {
+            defaults: { riskCategory: 'II', webhookUrl: `${hookUrl}/server` },
+            maxQueue: 2,
+            keyValueStore: createMemoryStore(),
+            cacheStore: createMemoryStore({ [CACHE_KEY]: CACHED })
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    it('posts records to the server\'s webhook whatever the request asks for', async () => {
+        const query = new URLSearchParams({ address: ADDRESS, webhookUrl: `${hookUrl}/request`, webhookEvent: 'batch' });
+        const response = await fetch(`${baseUrl}/wind?${query}`);
+        const record = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(record.webhook.delivered, true);
+        assert.deepEqual(received, ['/server']);
+    });
+});
+
+describe('queryToInput', () => {
+    it('converts numbers, booleans and hazard lists', () => {
+        const input = queryToInput(new URLSearchParams('address=a&latitude=35.5&forceRefresh=true&hazards=snow,%20ice&riskCategory=III'));
+
+        assert.deepEqual(input, { address: 'a', latitude: 35.5, forceRefresh: true, hazards: ['snow', 'ice'], riskCategory: 'III' });
+    });
+});
@@ -0,0 +1,145 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const {
+    parseCsv, toCsv, readSpreadsheet, resolveColumns, rowAddress, loadSpreadsheet, saveSpreadsheet
+} = require('../src/spreadsheet');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+const SPLIT_CSV = [
+    'Owner,Street,City,State,Zip Code',
+    'Acme,411 Crusaders Dr,Sanford,NC,27330',
+    '"Smith, J.",1600 Pennsylvania Ave NW,Washington,DC,20500',
+    ',,,,'
+].join('\n');
+
+const SUCCESS = { success: true, windSpeed: '114', riskCategory: 'II', coordinates: { latitude: 35.4719, longitude: -79.1794 }, error: null };
+const FAILURE = {
+    success: false, windSpeed: null, riskCategory: 'II', coordinates: null,
+    error: { code: 'ADDRESS_NOT_FOUND', message: 'Address not found by the geocoder', step: 'search', retryable: false }
+};
+
+async function xlsxBuffer(rows) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Portfolio').addRows(rows);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+describe('parseCsv / toCsv', () => {
+    it('handles quotes, embedded commas and line breaks', () => {
+        const rows = parseCsv('\uFEFFa,b\r\n"x, ""y""","line 1\nline 2"\r\n\r\n');
+
+        assert.deepEqual(rows, [['a', 'b'], ['x, "y"', 'line 1\nline 2']]);
+        assert.deepEqual(parseCsv(toCsv(rows)), rows);
+    });
+});
+
+describe('resolveColumns', () => {
+    it('recognises a single address column', () => {
+        assert.deepEqual(resolveColumns(['ID', 'Property Address']), { address: 1 });
+    });
+
+    it('recognises street, city, state and ZIP columns', () => {
+        assert.deepEqual(resolveColumns(['Owner', 'Street', 'City', 'State', 'Zip Code']), { street: 1, city: 2, state: 3, zip: 4 });
+        // "Address" next to City and State columns is the street
+        assert.deepEqual(resolveColumns(['Address', 'City', 'ST']), { street: 0, city: 1, state: 2, zip: null });
+    });
+
+    it('follows a column mapping', () => {
+        assert.deepEqual(resolveColumns(['Loc', 'Notes'], { address: 'loc' }), { address: 0 });
+        assert.throws(() => resolveColumns(['Loc'], { address: 'Site' }), /Column "Site" \(columnMapping.address\) is not in the spreadsheet/);
+    });
+
+    it('fails when no address column can be found', () => {
+        assert.throws(() => resolveColumns(['Owner', 'Value']), /No address columns found/);
+    });
+});
+
+describe('rowAddress', () => {
+    it('joins street, city, state and ZIP', () => {
+        const columns = { street: 0, city: 1, state: 2, zip: 3 };
+
+        assert.equal(rowAddress(['411  Crusaders Dr', 'Sanford', 'NC', '27330'], columns), '411 Crusaders Dr, Sanford, NC 27330');
+        assert.equal(rowAddress(['', '', '', ''], columns), '');
+    });
+});
+
+describe('readSpreadsheet', () => {
+    it('reads CSV and XLSX files alike', async () => {
+        const csv = await readSpreadsheet(Buffer.from(SPLIT_CSV));
+        const xlsx = await readSpreadsheet(await xlsxBuffer([['Address'], ['411 Crusaders Dr, Sanford, NC 27330']]));
+
+        assert.equal(csv.format, 'csv');
+        assert.equal(csv.rows.length, 2);
+        assert.equal(xlsx.format, 'xlsx');
+        assert.deepEqual(xlsx.headers, ['Address']);
+        assert.deepEqual(xlsx.rows, [['411 Crusaders Dr, Sanford, NC 27330']]);
+    });
+
+    it('rejects a file without data rows', async () => {
+        await assert.rejects(readSpreadsheet(Buffer.from('Address\n')), /no data rows/);
+    });
+});
+
+describe('loadSpreadsheet / saveSpreadsheet', () => {
+    it('loads the addresses from a key-value store record', async () => {
+        const store = createMemoryStore({ PORTFOLIO: Buffer.from(SPLIT_CSV) });
+        const sheet = await loadSpreadsheet({ source: 'PORTFOLIO', columnMapping: null }, store);
+
+        assert.deepEqual(sheet.addresses, ['411 Crusaders Dr, Sanford, NC 27330', '1600 Pennsylvania Ave NW, Washington, DC 20500']);
+        await assert.rejects(loadSpreadsheet({ source: 'MISSING' }, store), /not found in the key-value store/);
+    });
+
+    it('writes the original columns plus the results', async () => {
+        const store = createMemoryStore({ PORTFOLIO: SPLIT_CSV });
+        const sheet = await loadSpreadsheet({ source: 'PORTFOLIO' }, store);
+
+        const key = await saveSpreadsheet(sheet, [SUCCESS, FAILURE], store);
+        const [headers, first, second] = parseCsv(store.values.get(key));
+
+        assert.deepEqual(headers, ['Owner', 'Street', 'City', 'State', 'Zip Code', 'windSpeed', 'riskCategory', 'latitude', 'longitude', 'success', 'error']);
+        assert.deepEqual(first, ['Acme', '411 Crusaders Dr', 'Sanford', 'NC', '27330', '114', 'II', '35.4719', '-79.1794', 'true', '']);
+        assert.equal(second[0], 'Smith, J.');
+        assert.equal(second[9], 'false');
+        assert.equal(second[10], 'ADDRESS_NOT_FOUND: Address not found by the geocoder');
+    });
+
+    it('restores the leading zeros of ZIP codes Excel stored as numbers', async () => {
+        const store = createMemoryStore({
+            PORTFOLIO: await xlsxBuffer([['Street', 'City', 'State', 'ZIP'], ['1 Main St', 'Boston', 'MA', 2108], ['1 Main St', 'Holtsville', 'NY', 501]])
+        });
+        const sheet = await loadSpreadsheet({ source: 'PORTFOLIO' }, store);
+
+        assert.deepEqual(sheet.addresses, ['1 Main St, Boston, MA 02108', '1 Main St, Holtsville, NY 00501']);
+        assert.equal(sheet.rows[0][3], '02108');
+    });
+
+    it('keeps cells from being run as formulas', async () => {
+        const store = createMemoryStore({ PORTFOLIO: 'Address,Notes,=HYPERLINK(1)\n"411 Crusaders Dr, Sanford, NC 27330",@SUM(A1),-1\n' });
+        const sheet = await loadSpreadsheet({ source: 'PORTFOLIO' }, store);
+
+        const csv = await saveSpreadsheet(sheet, [SUCCESS], store);
+        const [headers, row] = parseCsv(store.values.get(csv));
+        assert.equal(headers[2], "'=HYPERLINK(1)");
+        assert.deepEqual(row.slice(0, 3), ['411 Crusaders Dr, Sanford, NC 27330', "'@SUM(A1)", "'-1"]);
+        // Numbers are written as they are
+        assert.equal(row[headers.indexOf('longitude')], '-79.1794');
+
+        const xlsx = await saveSpreadsheet(sheet, [SUCCESS], store, { outputFormat: 'xlsx' });
+        const written = await readSpreadsheet(store.values.get(xlsx));
+        assert.equal(written.rows[0][1], "'@SUM(A1)");
+        assert.equal(written.rows[0][written.headers.indexOf('longitude')], '-79.1794');
+    });
+
+    it('writes XLSX when asked to', async () => {
+        const store = createMemoryStore({ PORTFOLIO: await xlsxBuffer([['Address', 'windSpeed'], ['411 Crusaders Dr, Sanford, NC 27330', 'old']]) });
+        const sheet = await loadSpreadsheet({ source: 'PORTFOLIO' }, store);
+
+        const key = await saveSpreadsheet(sheet, [SUCCESS], store, { outputFormat: 'xlsx' });
+        const written = await readSpreadsheet(store.values.get(key));
+
+        // An existing windSpeed column is filled in rather than repeated
+        assert.equal(written.headers.filter(header => header === 'windSpeed').length, 1);
+        assert.equal(written.rows[0][1], '114');
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPlausibility, checkCoordinates } = require('../src/validation');
+
+// A successful record as extractWindSpeed leaves it, with only the fields the checks read
+function record(windSpeeds, { state = 'NC', asceEdition = '7-22', method = 'network', specialWindRegion = false } = {}) {
+    return {
+        windSpeeds,
+        extractionMethods: Object.fromEntries(Object.keys(windSpeeds).map(category => [category, method])),
+        asceEdition,
+        specialWindRegion,
+        parsedAddress: state ? { state } : null
+    };
+}
+
+describe('checkPlausibility', () => {
+    it('is confident in a value that passes every check', () => {
+        const panelWindSpeeds = { II: '114' };
+
+        assert.deepEqual(checkPlausibility(record({ II: '114' }), { panelWindSpeeds }), { confidence: 'high', warnings: [] });
+    });
+
+    it('flags a value the results panel disagrees with', () => {
+        const { confidence, warnings } = checkPlausibility(record({ II: '114' }), { panelWindSpeeds: { II: '124' } });
+
+        assert.equal(confidence, 'low');
+        assert.deepEqual(warnings.map(({ check }) => check), ['crossCheck']);
+    });
+
+    it('flags a value outside the range of the edition and risk category', () => {
+        const { confidence, warnings } = checkPlausibility(record({ II: '95' }, { asceEdition: '7-10' }));
+
+        assert.equal(confidence, 'low');
+        assert.deepEqual(warnings.map(({ check, category }) => [check, category]), [['range', 'II']]);
+        assert.match(warnings[0].message, /outside 105-210 mph/);
+    });
+
+    it('flags a value implausible for the state', () => {
+        const { confidence, warnings } = checkPlausibility(record({ II: '180' }, { state: 'OH' }));
+
+        assert.equal(confidence, 'low');
+        assert.deepEqual(warnings.map(({ check }) => check), ['state']);
+        assert.match(warnings[0].message, /implausible for OH/);
+        assert.equal(checkPlausibility(record({ II: '180' }, { state: 'FL' })).confidence, 'high');
+    });
+
+    it('skips the state check in a special wind region or without a state', () => {
+        assert.equal(checkPlausibility(record({ II: '180' }, { state: 'OH', specialWindRegion: true })).confidence, 'high');
+        assert.equal(checkPlausibility(record({ II: '180' }, { state: null })).confidence, 'high');
+    });
+
+    it('is less confident in values matched in the page text', () => {
+        const { confidence, warnings } = checkPlausibility(record({ II: '114' }, { method: 'regex' }));
+
+        assert.equal(confidence, 'medium');
+        assert.deepEqual(warnings.map(({ check }) => check), ['method']);
+    });
+
+    it('checks every category of an "all" lookup', () => {
+        const { warnings } = checkPlausibility(record({ I: '107', II: '114', III: '122', IV: '250' }));
+
+        assert.deepEqual(warnings.map(({ check, category }) => [check, category]), [['range', 'IV'], ['state', 'IV']]);
+    });
+
+    it('takes the state from the geocoder match without a parsed address', () => {
+        const matched = { ...record({ II: '180' }, { state: null }), geocoderMatch: { label: '100 Main St, Columbus, Ohio, 43215', score: 1, source: 'suggestions' } };
+        const { warnings } = checkPlausibility(matched);
+
+        assert.deepEqual(warnings.map(({ check }) => check), ['state']);
+        assert.match(warnings[0].message, /implausible for OH/);
+    });
+
+});
+
+describe('checkCoordinates', () => {
+    const requested = { latitude: 35.5, longitude: -79.2 };
+
+    it('accepts a site within the tolerance', () => {
+        assert.equal(checkCoordinates(requested, { latitude: 35.5002, longitude: -79.2, source: 'results-panel' }), null);
+    });
+
+    it('rejects a site further away or one that could not be read', () => {
+        assert.equal(checkCoordinates(requested, { latitude: 35.51, longitude: -79.2, source: 'results-panel' }),
+            'The tool placed the site at 35.51, -79.2, 1112 m from 35.5, -79.2');
+        assert.match(checkCoordinates(requested, { latitude: 35.5002, longitude: -79.2 }, { tolerance: 10 }), /22 m from/);
+        assert.match(checkCoordinates(requested, null), /could not be read/);
+    });
+});
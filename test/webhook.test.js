@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { signPayload, deliverWebhook } = require('../src/webhook');
+
+const FAST = { retries: 2, backoff: 10, timeout: 2000 };
+
+describe('deliverWebhook', () => {
+    let server;
+    let url;
+    let requests;
+    let statuses;
+
+    before(async () => {
+        // Answers with the queued statuses in turn, then 200
+        server = http.createServer(async (request, response) => {
+            let body = '';
+            for await (const chunk of request) body += chunk;
+            requests.push({ headers: request.headers, body });
+            response.writeHead(statuses.shift() ?? 200);
+            response.end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    function reset(queued = []) {
+        requests = [];
+        statuses = [...queued];
+    }
+
+    it('posts the payload with an HMAC signature of the timestamp and body', async () => {
+        reset();
+        const status = await deliverWebhook({ url, secret: 's3cret' }, 'record', { windSpeed: '114' }, FAST);
+
+        assert.equal(status.delivered, true);
+        assert.equal(status.attempts, 1);
+        assert.equal(status.statusCode, 200);
+
+        const [{ headers, body }] = requests;
+        const timestamp = headers['x-webhook-timestamp'];
+        const expected = `sha256=${crypto.createHmac('sha256', 's3cret').update(`${timestamp}.${body}`).digest('hex')}`;
+        assert.deepEqual(JSON.parse(body), { windSpeed: '114' });
+        assert.match(timestamp, /^\d{10}$/);
+        assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+        assert.equal(headers['x-signature-256'], expected);
+        assert.equal(headers['x-webhook-event'], 'record');
+        assert.equal(headers['x-webhook-delivery'], status.deliveryId);
+    });
+
+    it('retries non-2xx answers with the same delivery id', async () => {
+        reset([500, 503]);
+        const status = await deliverWebhook({ url, secret: null }, 'batch', { total: 1 }, FAST);
+
+        assert.equal(status.delivered, true);
+        assert.equal(status.attempts, 3);
+        assert.equal(new Set(requests.map(request => request.headers['x-webhook-delivery'])).size, 1);
+        assert.equal(requests[0].headers['x-signature-256'], undefined);
+        assert.ok(requests.every(request => request.headers['x-webhook-timestamp']));
+    });
+
+    it('reports a delivery that never succeeds', async () => {
+        reset([500, 500, 500]);
+        const status = await deliverWebhook({ url, secret: 's' }, 'record', {}, FAST);
+
+        assert.equal(status.delivered, false);
+        assert.equal(status.attempts, 3);
+        assert.equal(status.statusCode, 500);
+        assert.equal(status.error, 'HTTP 500');
+        assert.equal(status.deliveredAt, null);
+    });
+});
+
+describe('signPayload', () => {
+    it('signs the exact body', () => {
+        assert.equal(signPayload('key', '1700000000', 'body'), signPayload('key', '1700000000', 'body'));
+        assert.notEqual(signPayload('key', '1700000000', '{"a":1}'), signPayload('key', '1700000000', '{ "a": 1 }'));
+    });
+
+    it('signs the timestamp with the body so it cannot be swapped', () => {
+        assert.notEqual(signPayload('key', '1700000000', 'body'), signPayload('key', '1700000300', 'body'));
+    });
+});